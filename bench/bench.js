@@ -0,0 +1,149 @@
+/* Times the editor's math pass and save on a generated document. */
+
+const EDIT_ROUNDS = 20;
+const LIBRARY_WAIT_FRAMES = 120;
+
+const paragraphsInput = document.querySelector("#paragraphs");
+const runButton = document.querySelector("#run");
+const statusEl = document.querySelector("#status");
+const results = document.querySelector("#results");
+
+function generateDocument(paragraphs) {
+  const blocks = [];
+  for (let index = 0; index < paragraphs; index += 1) {
+    if (index % 50 === 0) {
+      blocks.push(`## Section ${index / 50 + 1}`);
+    }
+    if (index % 10 === 5) {
+      blocks.push(`$$\n\\sum_{k=1}^{${index}} k^2 = \\frac{n(n+1)(2n+1)}{6}\n$$`);
+    } else {
+      blocks.push(`Paragraph ${index} has inline math $x_{${index % 7}}^2 + y_${index % 3}$ between ordinary words.`);
+    }
+  }
+  return blocks.join("\n\n");
+}
+
+function time(callback) {
+  const startedAt = performance.now();
+  callback();
+  return performance.now() - startedAt;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function report(step, milliseconds) {
+  const row = document.createElement("tr");
+  const name = document.createElement("td");
+  name.textContent = step;
+  const value = document.createElement("td");
+  value.textContent = milliseconds.toFixed(1);
+  row.append(name, value);
+  results.appendChild(row);
+}
+
+function nextFrame() {
+  return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+// The editor saves what it shows into the library, so the run gets a document
+// of its own there, and takes no versions of it. Without one it would write
+// over the document that was open last.
+async function useScratchDocument(win) {
+  win.eval("autoSnapshots = false");
+  for (let frame = 0; frame < LIBRARY_WAIT_FRAMES && !win.eval("libraryDocument"); frame += 1) {
+    await nextFrame();
+  }
+  if (!win.eval("libraryDocument")) {
+    throw new Error("the document library did not open");
+  }
+  const openId = win.eval("libraryDocument.id");
+  await win.newLibraryDocument();
+  const scratchId = win.eval("libraryDocument.id");
+  if (scratchId === openId) {
+    throw new Error("no scratch document could be created in the library");
+  }
+  return scratchId;
+}
+
+// A text node in the middle of the document that isn't part of any math.
+function middleTextNode(win, editor) {
+  const paragraphs = editor.querySelectorAll("p");
+  const paragraph = paragraphs[Math.floor(paragraphs.length / 2)];
+  const walker = win.document.createTreeWalker(paragraph, win.NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement.closest(".math-token")) {
+      return walker.currentNode;
+    }
+  }
+  return null;
+}
+
+async function runBenchmark(paragraphs) {
+  const win = (await loadEditorFrame()).contentWindow;
+  const editor = win.document.querySelector("#editor");
+  const text = generateDocument(paragraphs);
+  const scratchId = await useScratchDocument(win);
+  try {
+    await timeSteps(win, editor, text, paragraphs);
+  } finally {
+    win.eval("clearTimeout(saveTimer); clearTimeout(panelsTimer); clearTimeout(documentSyncTimer); libraryDocument = null");
+    await win.deleteLibraryDocument(scratchId);
+  }
+}
+
+async function timeSteps(win, editor, text, paragraphs) {
+  report(`Load ${paragraphs} paragraphs (KaTeX cache cold)`, time(() => win.loadMarkdownDocument(text, null)));
+  await nextFrame();
+  report("Load again (KaTeX cache warm)", time(() => win.loadMarkdownDocument(text, null)));
+  await nextFrame();
+  report("Math pass with nothing changed", time(() => win.runMathPass(true)));
+
+  const textNode = middleTextNode(win, editor);
+  const typing = [];
+  const saving = [];
+  const syncing = [];
+  const panels = [];
+  const snapshots = [];
+  for (let round = 0; round < EDIT_ROUNDS; round += 1) {
+    textNode.nodeValue += "x";
+    typing.push(time(() => win.runMathPass(true)));
+    textNode.nodeValue += "y";
+    saving.push(time(() => win.saveEditorState()));
+    syncing.push(time(() => win.syncDocument()));
+    panels.push(time(() => win.updatePanels()));
+    snapshots.push(time(() => win.captureEditorState()));
+  }
+  report(`Math pass after typing one character (median of ${EDIT_ROUNDS})`, median(typing));
+  report(`Save after typing one character (median of ${EDIT_ROUNDS})`, median(saving));
+  report(`Library and session write after typing one character (median of ${EDIT_ROUNDS})`, median(syncing));
+  report(`Outline and other panels after typing one character (median of ${EDIT_ROUNDS})`, median(panels));
+  report(`Undo snapshot after typing one character (median of ${EDIT_ROUNDS})`, median(snapshots));
+
+  textNode.nodeValue += " $z^2 + 1$";
+  report("Math pass converting new inline math", time(() => win.runMathPass(true)));
+  report("Full editor.innerHTML, for comparison", time(() => editor.innerHTML.length));
+}
+
+runButton.addEventListener("click", async () => {
+  const paragraphs = Math.max(100, Number(paragraphsInput.value) || 10000);
+  const saved = stashStorage();
+  runButton.disabled = true;
+  results.replaceChildren();
+  statusEl.textContent = "Running…";
+  try {
+    await runBenchmark(paragraphs);
+    statusEl.textContent = "Done.";
+  } catch (error) {
+    statusEl.textContent = `Benchmark failed: ${error.message}`;
+  } finally {
+    const frame = document.querySelector("iframe");
+    if (frame) {
+      frame.remove();
+    }
+    restoreStorage(saved);
+    runButton.disabled = false;
+  }
+});
@@ -1,5 +1,17 @@
+const fs = require('fs');
 const path = require('path');
-const { app, BrowserWindow, shell } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain, shell } = require('electron');
+
+const MARKDOWN_EXTENSIONS = ['md', 'markdown', 'mdown', 'txt'];
+const MARKDOWN_FILTERS = [
+  { name: 'Markdown', extensions: MARKDOWN_EXTENSIONS },
+  { name: 'All Files', extensions: ['*'] }
+];
+
+const ALLOWED_PATHS_LIMIT = 200;
+
+const windowState = new WeakMap();
+let allowedPaths = null;
 
 function createWindow() {
   const win = new BrowserWindow({
@@ -9,21 +21,503 @@ function createWindow() {
     minHeight: 640,
     title: 'Typora Clone',
     webPreferences: {
+      preload: path.join(__dirname, 'preload.cjs'),
       contextIsolation: true,
       sandbox: true,
       nodeIntegration: false
     }
   });
 
+  windowState.set(win, { dirty: false, allowClose: false });
+
   win.loadFile(path.join(__dirname, '..', 'index.html'));
 
+  // Links open in the browser or mail app, and only those; the window itself
+  // never navigates away from the editor.
   win.webContents.setWindowOpenHandler(({ url }) => {
-    shell.openExternal(url);
+    if (/^(?:https?|mailto):/i.test(url)) {
+      shell.openExternal(url);
+    }
     return { action: 'deny' };
   });
+  win.webContents.on('will-navigate', (event) => event.preventDefault());
+
+  win.on('close', (event) => {
+    const state = windowState.get(win);
+    if (!state || !state.dirty || state.allowClose) {
+      return;
+    }
+
+    event.preventDefault();
+    const choice = dialog.showMessageBoxSync(win, {
+      type: 'warning',
+      buttons: ['Save', "Don't Save", 'Cancel'],
+      defaultId: 0,
+      cancelId: 2,
+      message: 'Do you want to save the changes you made?',
+      detail: "Your changes will be lost if you don't save them."
+    });
+
+    if (choice === 0) {
+      win.webContents.send('menu:command', 'save-and-close');
+    } else if (choice === 1) {
+      state.allowClose = true;
+      win.close();
+    }
+  });
+
+  return win;
+}
+
+function sendMenuCommand(command) {
+  const win = BrowserWindow.getFocusedWindow();
+  if (win) {
+    win.webContents.send('menu:command', command);
+  }
+}
+
+function buildMenu() {
+  const isMac = process.platform === 'darwin';
+
+  // The renderer handles these shortcuts itself so they also work in the web
+  // build; registering them here too would fire every command twice.
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    {
+      label: 'File',
+      submenu: [
+        { label: 'New', accelerator: 'CmdOrCtrl+N', registerAccelerator: false, click: () => sendMenuCommand('new') },
+        { label: 'Open…', accelerator: 'CmdOrCtrl+O', registerAccelerator: false, click: () => sendMenuCommand('open') },
+        { label: 'Open Folder…', accelerator: 'CmdOrCtrl+Shift+O', registerAccelerator: false, click: () => sendMenuCommand('open-folder') },
+        { type: 'separator' },
+        { label: 'Save', accelerator: 'CmdOrCtrl+S', registerAccelerator: false, click: () => sendMenuCommand('save') },
+        { label: 'Save As…', accelerator: 'CmdOrCtrl+Shift+S', registerAccelerator: false, click: () => sendMenuCommand('save-as') },
+        { label: 'Save Checkpoint…', click: () => sendMenuCommand('checkpoint') },
+        {
+          label: 'Export',
+          submenu: [
+            { label: 'HTML…', click: () => sendMenuCommand('export-html') },
+            { label: 'PDF…', click: () => sendMenuCommand('export-pdf') }
+          ]
+        },
+        { type: 'separator' },
+        { label: 'Close Tab', accelerator: 'CmdOrCtrl+W', registerAccelerator: false, click: () => sendMenuCommand('close-tab') },
+        { type: 'separator' },
+        { label: 'Image Folder…', click: () => sendMenuCommand('image-folder') },
+        { label: 'Math Macros…', click: () => sendMenuCommand('math-macros') },
+        { type: 'separator' },
+        isMac ? { role: 'close', accelerator: 'CmdOrCtrl+Shift+W' } : { role: 'quit' }
+      ]
+    },
+    {
+      label: 'Edit',
+      submenu: [
+        { role: 'undo' },
+        { role: 'redo' },
+        { type: 'separator' },
+        { role: 'cut' },
+        { role: 'copy' },
+        { role: 'paste' },
+        { role: 'selectAll' },
+        { type: 'separator' },
+        { label: 'Find…', accelerator: 'CmdOrCtrl+F', registerAccelerator: false, click: () => sendMenuCommand('find') },
+        { label: 'Replace…', accelerator: isMac ? 'Alt+Cmd+F' : 'Ctrl+H', registerAccelerator: false, click: () => sendMenuCommand('replace') },
+        { type: 'separator' },
+        { label: 'Link…', accelerator: 'CmdOrCtrl+K', registerAccelerator: false, click: () => sendMenuCommand('link') },
+        { label: 'Insert Footnote', accelerator: 'CmdOrCtrl+Alt+N', registerAccelerator: false, click: () => sendMenuCommand('footnote') }
+      ]
+    },
+    {
+      label: 'View',
+      submenu: [
+        { label: 'Source Code Mode', accelerator: 'CmdOrCtrl+/', registerAccelerator: false, click: () => sendMenuCommand('toggle-source-mode') },
+        { label: 'Outline', accelerator: 'CmdOrCtrl+Shift+1', registerAccelerator: false, click: () => sendMenuCommand('toggle-outline') },
+        { label: 'Problems', click: () => sendMenuCommand('toggle-problems') },
+        { label: 'History', click: () => sendMenuCommand('toggle-history') },
+        { label: 'Number Equations', click: () => sendMenuCommand('toggle-equation-numbers') },
+        { label: 'Appearance…', click: () => sendMenuCommand('appearance') },
+        { type: 'separator' },
+        { label: 'Focus Mode', accelerator: 'F8', registerAccelerator: false, click: () => sendMenuCommand('toggle-focus-mode') },
+        { label: 'Typewriter Mode', accelerator: 'F9', registerAccelerator: false, click: () => sendMenuCommand('toggle-typewriter-mode') },
+        { label: 'Distraction-Free Mode', accelerator: 'CmdOrCtrl+Shift+F', registerAccelerator: false, click: () => sendMenuCommand('toggle-distraction-free') },
+        { type: 'separator' },
+        { role: 'reload' },
+        { role: 'toggleDevTools' },
+        { type: 'separator' },
+        { role: 'resetZoom' },
+        { role: 'zoomIn' },
+        { role: 'zoomOut' },
+        { type: 'separator' },
+        { role: 'togglefullscreen' }
+      ]
+    },
+    { role: 'windowMenu' }
+  ];
+
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+async function writeMarkdownFile(filePath, content) {
+  await fs.promises.writeFile(filePath, content, 'utf8');
+  return { filePath };
+}
+
+function isMarkdownFile(fileName) {
+  return MARKDOWN_EXTENSIONS.includes(path.extname(fileName).slice(1).toLowerCase());
+}
+
+// Folders are listed up front so the sidebar can expand them without another
+// round trip; hidden entries and dependency folders are left out.
+async function readFolderTree(folderPath) {
+  const entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
+  const items = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') {
+      continue;
+    }
+
+    const entryPath = path.join(folderPath, entry.name);
+    if (entry.isDirectory()) {
+      items.push({ name: entry.name, path: entryPath, type: 'directory', children: await readFolderTree(entryPath) });
+    } else if (entry.isFile() && isMarkdownFile(entry.name)) {
+      items.push({ name: entry.name, path: entryPath, type: 'file' });
+    }
+  }
+
+  return items.sort((a, b) => {
+    if (a.type !== b.type) {
+      return a.type === 'directory' ? -1 : 1;
+    }
+    return a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' });
+  });
+}
+
+function validEntryName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed || trimmed === '.' || trimmed === '..' || trimmed !== path.basename(trimmed) || /[\\/]/.test(trimmed)) {
+    throw new Error(`Invalid name: ${name}`);
+  }
+  return trimmed;
+}
+
+function userMacrosPath() {
+  return path.join(app.getPath('userData'), 'macros.tex');
+}
+
+// The renderer shows documents, so it only gets at the files the user picked
+// in a dialog and at what is inside the folders they opened. The list is kept
+// on disk so the last session's files and folder reopen.
+function allowedPathsFile() {
+  return path.join(app.getPath('userData'), 'allowed-paths.json');
+}
+
+function loadAllowedPaths() {
+  if (!allowedPaths) {
+    try {
+      const data = JSON.parse(fs.readFileSync(allowedPathsFile(), 'utf8'));
+      allowedPaths = {
+        files: Array.isArray(data.files) ? data.files.map(String) : [],
+        folders: Array.isArray(data.folders) ? data.folders.map(String) : []
+      };
+    } catch {
+      allowedPaths = { files: [], folders: [] };
+    }
+  }
+  return allowedPaths;
+}
+
+// Symlinks are followed, and a path that doesn't exist yet resolves through
+// its nearest existing parent.
+async function resolveRealPath(target) {
+  const absolute = path.resolve(target);
+  try {
+    return await fs.promises.realpath(absolute);
+  } catch (error) {
+    const parent = path.dirname(absolute);
+    if (error.code !== 'ENOENT' || parent === absolute) {
+      throw error;
+    }
+    return path.join(await resolveRealPath(parent), path.basename(absolute));
+  }
+}
+
+function isInsidePath(target, folder) {
+  const relative = path.relative(folder, target);
+  return !path.isAbsolute(relative) && relative.split(path.sep)[0] !== '..';
+}
+
+async function allowPath(target, kind) {
+  const real = await resolveRealPath(target);
+  const paths = loadAllowedPaths();
+  paths[kind] = [real, ...paths[kind].filter((entry) => entry !== real)].slice(0, ALLOWED_PATHS_LIMIT);
+  await fs.promises.writeFile(allowedPathsFile(), JSON.stringify(paths), 'utf8');
+}
+
+// The path, absolute, when the user has given access to it. A folder's
+// contents can be reached through the folder only, not through a file the
+// user picked in it.
+async function checkedPath(target, { folderOnly = false } = {}) {
+  if (typeof target !== 'string' || !target) {
+    throw new Error('No path given');
+  }
+
+  const real = await resolveRealPath(target);
+  const { files, folders } = loadAllowedPaths();
+  if ((!folderOnly && files.includes(real)) || folders.some((folder) => isInsidePath(real, folder))) {
+    return path.resolve(target);
+  }
+  throw new Error(`${path.basename(target)} is outside the files and folders you opened`);
+}
+
+ipcMain.handle('file:open', async (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showOpenDialog(win, {
+    properties: ['openFile'],
+    filters: MARKDOWN_FILTERS
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  const filePath = result.filePaths[0];
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  await allowPath(filePath, 'files');
+  return { filePath, content };
+});
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Header and footer templates are rendered by Chromium outside the page, so
+// they need their own font size; the defaults are tiny.
+function pdfOptions({ pageSize, landscape, marginMm, header, pageNumbers }) {
+  const margin = (Number(marginMm) || 0) / 25.4;
+  const templateStyle = 'font-size:9px;width:100%;color:#666;text-align:center;font-family:sans-serif;';
+  return {
+    pageSize: pageSize || 'A4',
+    landscape: Boolean(landscape),
+    printBackground: true,
+    margins: { top: margin, bottom: margin, left: margin, right: margin },
+    displayHeaderFooter: Boolean(header || pageNumbers),
+    headerTemplate: header ? `<div style="${templateStyle}">${escapeHtml(header)}</div>` : '<span></span>',
+    footerTemplate: pageNumbers
+      ? `<div style="${templateStyle}"><span class="pageNumber"></span> / <span class="totalPages"></span></div>`
+      : '<span></span>'
+  };
+}
+
+async function saveExportDialog(win, defaultPath, name, extension) {
+  const result = await dialog.showSaveDialog(win, {
+    defaultPath,
+    filters: [{ name, extensions: [extension] }]
+  });
+  return result.canceled || !result.filePath ? null : result.filePath;
 }
 
+ipcMain.handle('export:html', async (event, { defaultPath, content }) => {
+  const filePath = await saveExportDialog(BrowserWindow.fromWebContents(event.sender), defaultPath, 'HTML', 'html');
+  if (!filePath) {
+    return null;
+  }
+
+  await fs.promises.writeFile(filePath, content, 'utf8');
+  return { filePath };
+});
+
+ipcMain.handle('export:pdf', async (event, { defaultPath, html, options }) => {
+  const filePath = await saveExportDialog(BrowserWindow.fromWebContents(event.sender), defaultPath, 'PDF', 'pdf');
+  if (!filePath) {
+    return null;
+  }
+
+  // Loading from a file rather than a data URL keeps large inlined fonts
+  // under Chromium's URL length limit and lets file:// images resolve.
+  const tempPath = path.join(app.getPath('temp'), `typora-clone-export-${process.pid}-${Date.now()}.html`);
+  await fs.promises.writeFile(tempPath, html, 'utf8');
+  const printWindow = new BrowserWindow({
+    show: false,
+    webPreferences: { contextIsolation: true, sandbox: true, nodeIntegration: false }
+  });
+
+  try {
+    await printWindow.loadFile(tempPath);
+    await printWindow.webContents.executeJavaScript('document.fonts.ready.then(() => true)');
+    const data = await printWindow.webContents.printToPDF(pdfOptions(options));
+    await fs.promises.writeFile(filePath, data);
+    return { filePath };
+  } finally {
+    printWindow.destroy();
+    await fs.promises.rm(tempPath, { force: true });
+  }
+});
+
+ipcMain.handle('folder:open', async (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showOpenDialog(win, {
+    properties: ['openDirectory']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  const folderPath = result.filePaths[0];
+  await allowPath(folderPath, 'folders');
+  return { folderPath, tree: await readFolderTree(folderPath) };
+});
+
+ipcMain.handle('folder:read', async (_event, folderPath) => {
+  return readFolderTree(await checkedPath(folderPath, { folderOnly: true }));
+});
+
+// Files that are neither picked nor in the open folder, such as the target of
+// a relative link, are read once the user agrees to open them.
+ipcMain.handle('file:read', async (event, filePath) => {
+  let checked;
+  try {
+    checked = await checkedPath(filePath);
+  } catch (error) {
+    const choice = await dialog.showMessageBox(BrowserWindow.fromWebContents(event.sender), {
+      type: 'question',
+      buttons: ['Open', 'Cancel'],
+      defaultId: 0,
+      cancelId: 1,
+      message: `Open ${path.basename(String(filePath))}?`,
+      detail: String(filePath)
+    });
+    if (choice.response !== 0) {
+      throw error;
+    }
+    checked = path.resolve(filePath);
+    await allowPath(checked, 'files');
+  }
+  return fs.promises.readFile(checked, 'utf8');
+});
+
+ipcMain.handle('macros:read', async () => {
+  try {
+    return await fs.promises.readFile(userMacrosPath(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return '';
+    }
+    throw error;
+  }
+});
+
+ipcMain.handle('macros:write', async (_event, content) => {
+  await fs.promises.writeFile(userMacrosPath(), content, 'utf8');
+});
+
+ipcMain.handle('file:create', async (_event, { directory, name }) => {
+  let fileName = validEntryName(name);
+  if (!path.extname(fileName)) {
+    fileName += '.md';
+  }
+
+  const filePath = await checkedPath(path.join(String(directory), fileName), { folderOnly: true });
+  await fs.promises.writeFile(filePath, '', { encoding: 'utf8', flag: 'wx' });
+  return filePath;
+});
+
+ipcMain.handle('folder:create', async (_event, { directory, name }) => {
+  const folderPath = await checkedPath(path.join(String(directory), validEntryName(name)), { folderOnly: true });
+  await fs.promises.mkdir(folderPath);
+  return folderPath;
+});
+
+ipcMain.handle('path:rename', async (_event, { oldPath: requestedPath, newName }) => {
+  const oldPath = await checkedPath(requestedPath, { folderOnly: true });
+  const newPath = await checkedPath(path.join(path.dirname(oldPath), validEntryName(newName)), { folderOnly: true });
+  if (newPath === oldPath) {
+    return oldPath;
+  }
+
+  // A case-only rename finds the old entry itself on case-insensitive disks.
+  if (newPath.toLowerCase() !== oldPath.toLowerCase() && fs.existsSync(newPath)) {
+    throw new Error(`${path.basename(newPath)} already exists`);
+  }
+
+  await fs.promises.rename(oldPath, newPath);
+  return newPath;
+});
+
+ipcMain.handle('path:delete', async (_event, targetPath) => {
+  await shell.trashItem(await checkedPath(targetPath, { folderOnly: true }));
+});
+
+ipcMain.handle('file:save', async (_event, { filePath, content }) => {
+  return writeMarkdownFile(await checkedPath(filePath), content);
+});
+
+ipcMain.handle('file:save-as', async (event, { defaultPath, content }) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const result = await dialog.showSaveDialog(win, {
+    defaultPath: defaultPath || 'Untitled.md',
+    filters: MARKDOWN_FILTERS
+  });
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+
+  await allowPath(result.filePath, 'files');
+  return writeMarkdownFile(result.filePath, content);
+});
+
+async function uniqueFilePath(directory, fileName) {
+  const extension = path.extname(fileName);
+  const base = path.basename(fileName, extension);
+  let candidate = path.join(directory, fileName);
+  for (let index = 1; ; index += 1) {
+    try {
+      await fs.promises.access(candidate);
+    } catch {
+      return candidate;
+    }
+    candidate = path.join(directory, `${base}-${index}${extension}`);
+  }
+}
+
+ipcMain.handle('image:save', async (_event, { documentPath, folder, fileName, data }) => {
+  const documentDir = path.dirname(await checkedPath(documentPath));
+  const targetDir = path.resolve(documentDir, folder || 'images');
+  if (!isInsidePath(await resolveRealPath(targetDir), await resolveRealPath(documentDir))) {
+    throw new Error(`The image folder ${folder} is outside the document's folder`);
+  }
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  const target = await uniqueFilePath(targetDir, path.basename(fileName));
+  await fs.promises.writeFile(target, Buffer.from(data));
+  return path.relative(documentDir, target).split(path.sep).join('/');
+});
+
+ipcMain.on('document:state', (event, { filePath, dirty }) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const state = win && windowState.get(win);
+  if (!state) {
+    return;
+  }
+
+  state.dirty = Boolean(dirty);
+  win.setDocumentEdited(state.dirty);
+  if (process.platform === 'darwin') {
+    win.setRepresentedFilename(filePath || '');
+  }
+});
+
+ipcMain.on('window:close', (event) => {
+  const win = BrowserWindow.fromWebContents(event.sender);
+  const state = win && windowState.get(win);
+  if (!state) {
+    return;
+  }
+
+  state.allowClose = true;
+  win.close();
+});
+
 app.whenReady().then(() => {
+  buildMenu();
   createWindow();
 
   app.on('activate', () => {
@@ -0,0 +1,27 @@
+const { pathToFileURL } = require('url');
+const { contextBridge, ipcRenderer } = require('electron');
+
+contextBridge.exposeInMainWorld('desktop', {
+  openFile: () => ipcRenderer.invoke('file:open'),
+  openFolder: () => ipcRenderer.invoke('folder:open'),
+  readFolder: (folderPath) => ipcRenderer.invoke('folder:read', folderPath),
+  readFile: (filePath) => ipcRenderer.invoke('file:read', filePath),
+  createFile: (directory, name) => ipcRenderer.invoke('file:create', { directory, name }),
+  createFolder: (directory, name) => ipcRenderer.invoke('folder:create', { directory, name }),
+  renamePath: (oldPath, newName) => ipcRenderer.invoke('path:rename', { oldPath, newName }),
+  deletePath: (targetPath) => ipcRenderer.invoke('path:delete', targetPath),
+  saveFile: (filePath, content) => ipcRenderer.invoke('file:save', { filePath, content }),
+  saveFileAs: (defaultPath, content) => ipcRenderer.invoke('file:save-as', { defaultPath, content }),
+  exportHtml: (defaultPath, content) => ipcRenderer.invoke('export:html', { defaultPath, content }),
+  exportPdf: (defaultPath, html, options) => ipcRenderer.invoke('export:pdf', { defaultPath, html, options }),
+  saveImage: (documentPath, folder, fileName, data) =>
+    ipcRenderer.invoke('image:save', { documentPath, folder, fileName, data }),
+  readUserMacros: () => ipcRenderer.invoke('macros:read'),
+  writeUserMacros: (content) => ipcRenderer.invoke('macros:write', content),
+  toFileUrl: (filePath) => pathToFileURL(filePath).href,
+  setDocumentState: (state) => ipcRenderer.send('document:state', state),
+  closeWindow: () => ipcRenderer.send('window:close'),
+  onMenuCommand: (callback) => {
+    ipcRenderer.on('menu:command', (_event, command) => callback(command));
+  }
+});
@@ -0,0 +1,184 @@
+/* Standalone HTML documents for HTML and PDF export. */
+
+const EXPORT_BASE_CSS = `
+*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; background: var(--page); color: var(--text); }
+.markdown-body {
+  max-width: 860px;
+  margin: 0 auto;
+  padding: 40px 32px;
+  font-family: var(--font);
+  font-size: 16px;
+  line-height: 1.65;
+}
+.markdown-body h1, .markdown-body h2, .markdown-body h3,
+.markdown-body h4, .markdown-body h5, .markdown-body h6 {
+  line-height: 1.25;
+  margin: 1.4em 0 0.7em;
+  font-family: var(--heading-font);
+}
+.markdown-body h1 { font-size: 2em; }
+.markdown-body h2 { font-size: 1.5em; }
+.markdown-body p, .markdown-body ul, .markdown-body ol,
+.markdown-body pre, .markdown-body blockquote, .markdown-body table { margin: 0 0 1em; }
+.markdown-body a { color: var(--accent); }
+.markdown-body img { max-width: 100%; height: auto; }
+.markdown-body hr { border: 0; border-top: 1px solid var(--line); margin: 1.5em 0; }
+.markdown-body blockquote { border-left: 4px solid var(--line); padding-left: 12px; color: var(--muted); }
+.markdown-body pre, .markdown-body code { font-family: "IBM Plex Mono", "SFMono-Regular", Menlo, monospace; }
+.markdown-body code { font-size: 0.92em; background: var(--code-bg); border-radius: 4px; padding: 0.12em 0.3em; }
+.markdown-body pre { background: var(--code-bg); border-radius: 8px; padding: 12px; overflow: auto; }
+.markdown-body pre code { display: block; background: transparent; padding: 0; white-space: pre; tab-size: 4; }
+.markdown-body table { border-collapse: collapse; }
+.markdown-body th, .markdown-body td { border: 1px solid var(--line); padding: 6px 10px; vertical-align: top; }
+.markdown-body th { background: var(--code-bg); }
+.markdown-body li:has(> .task-checkbox, > p:first-child > .task-checkbox) { list-style: none; }
+.markdown-body .task-checkbox { margin: 0 0.45em 0 -1.3em; vertical-align: -0.1em; }
+.markdown-body .footnote-ref a { text-decoration: none; }
+.markdown-body .footnote-def { position: relative; font-size: 0.9em; }
+.markdown-body :not(.footnote-def) + .footnote-def { padding-top: 1em; border-top: 1px solid var(--line); }
+.markdown-body .footnote-def[data-number]::before { content: attr(data-number) "."; position: absolute; right: 100%; margin-right: 0.5em; }
+.markdown-body .footnote-backref { text-decoration: none; }
+.markdown-body .toc { margin: 0 0 1em; }
+.markdown-body .toc ul { list-style: none; margin: 0; padding: 0; }
+.markdown-body .toc li[data-level="2"] { padding-left: 1.2em; }
+.markdown-body .toc li[data-level="3"] { padding-left: 2.4em; }
+.markdown-body .toc li[data-level="4"] { padding-left: 3.6em; }
+.markdown-body .toc li[data-level="5"] { padding-left: 4.8em; }
+.markdown-body .toc li[data-level="6"] { padding-left: 6em; }
+.math-token[data-display="true"] { display: block; margin: 0.5em 0; overflow-x: auto; overflow-y: hidden; }
+.math-token .katex-display { margin: 0; }
+.tok-comment { color: #6a737d; font-style: italic; }
+.tok-string, .tok-inserted { color: #0a7d3b; }
+.tok-number, .tok-literal { color: #b35900; }
+.tok-keyword { color: #a626a4; }
+.tok-function { color: #1f5fbf; }
+.tok-property, .tok-attr, .tok-variable { color: #986801; }
+.tok-tag, .tok-meta, .tok-deleted { color: #c0392b; }
+@media print {
+  .markdown-body { max-width: none; padding: 0; }
+  .markdown-body pre, .markdown-body table, .math-token[data-display="true"], .markdown-body img { break-inside: avoid; }
+  .markdown-body h1, .markdown-body h2, .markdown-body h3 { break-after: avoid; }
+}
+`;
+
+const EXPORT_THEMES = {
+  default: {
+    label: "Default",
+    css: `:root {
+  --page: #ffffff; --text: #21242c; --muted: #46506a; --line: #d8deea; --accent: #1f6feb; --code-bg: #f2f4f8;
+  --font: "IBM Plex Sans", "Segoe UI", Helvetica, Arial, sans-serif; --heading-font: var(--font);
+}`
+  },
+  academic: {
+    label: "Academic",
+    css: `:root {
+  --page: #ffffff; --text: #111111; --muted: #444444; --line: #bbbbbb; --accent: #1a4f9c; --code-bg: #f4f4f4;
+  --font: "Latin Modern Roman", "Computer Modern", Georgia, "Times New Roman", serif; --heading-font: var(--font);
+}
+.markdown-body p { text-align: justify; hyphens: auto; }`
+  },
+  night: {
+    label: "Night",
+    css: `:root {
+  --page: #1e2128; --text: #dde3ee; --muted: #9aa5b8; --line: #3a4150; --accent: #6ea8ff; --code-bg: #272b34;
+  --font: "IBM Plex Sans", "Segoe UI", Helvetica, Arial, sans-serif; --heading-font: var(--font);
+}`
+  }
+};
+
+let katexStylesPromise = null;
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener("load", () => resolve(reader.result));
+    reader.addEventListener("error", () => reject(reader.error));
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Fetches the KaTeX stylesheet the page uses and swaps its font URLs for data
+// URLs. Only the woff2 files are kept: every engine that renders the export
+// reads them, and the other formats would triple the file size.
+async function loadInlineKatexStyles(cssUrl) {
+  const response = await fetch(cssUrl);
+  if (!response.ok) {
+    throw new Error(`${response.status} ${response.statusText}`);
+  }
+
+  let css = await response.text();
+  css = css.replace(/src:\s*([^;}]+)/g, (declaration, sources) => {
+    const woff2 = sources.split(",").find((source) => /format\(["']?woff2["']?\)/.test(source));
+    return woff2 ? `src:${woff2.trim()}` : declaration;
+  });
+
+  const fontUrls = Array.from(new Set(Array.from(css.matchAll(/url\(["']?([^"')]+\.woff2)["']?\)/g), (match) => match[1])));
+  const inlined = await Promise.all(fontUrls.map(async (url) => {
+    const fontResponse = await fetch(new URL(url, cssUrl));
+    if (!fontResponse.ok) {
+      throw new Error(`${fontResponse.status} ${fontResponse.statusText}`);
+    }
+    return [url, await blobToDataUrl(await fontResponse.blob())];
+  }));
+
+  for (const [url, dataUrl] of inlined) {
+    css = css.split(url).join(dataUrl);
+  }
+  return css;
+}
+
+function inlineKatexStyles(cssUrl) {
+  if (!katexStylesPromise) {
+    katexStylesPromise = loadInlineKatexStyles(cssUrl).catch((error) => {
+      katexStylesPromise = null;
+      throw error;
+    });
+  }
+  return katexStylesPromise;
+}
+
+function slugifyHeading(text, used) {
+  const base = text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s-]/gu, "")
+    .trim()
+    .replace(/\s+/g, "-") || "section";
+  let slug = base;
+  for (let index = 1; used.has(slug); index += 1) {
+    slug = `${base}-${index}`;
+  }
+  used.add(slug);
+  return slug;
+}
+
+function escapeExportText(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function exportDocumentHtml({ title, body, katexCss, katexHref, theme, extraCss = "" }) {
+  const themeCss = (EXPORT_THEMES[theme] || EXPORT_THEMES.default).css;
+  const katexStyles = katexCss
+    ? `<style>\n${katexCss}\n</style>`
+    : `<link rel="stylesheet" href="${escapeExportText(katexHref)}" />`;
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeExportText(title)}</title>
+    ${katexStyles}
+    <style>
+${themeCss}
+${EXPORT_BASE_CSS}
+${extraCss}
+    </style>
+  </head>
+  <body>
+    <article class="markdown-body">
+${body}
+    </article>
+  </body>
+</html>
+`;
+}
@@ -0,0 +1,266 @@
+/* Offline syntax highlighter for fenced code blocks. */
+
+// Each grammar is an ordered list of [className, stickyRegex] rules. At every
+// position the first rule that matches wins; a null className emits the match
+// unstyled, which keeps keywords from being found inside longer identifiers.
+const HIGHLIGHT_GRAMMARS = {};
+const HIGHLIGHT_ALIASES = {};
+
+function keywordPattern(words, flags = "y") {
+  return new RegExp(`\\b(?:${words.split(" ").join("|")})\\b`, flags);
+}
+
+function defineGrammar(names, rules) {
+  const [primary, ...aliases] = names;
+  HIGHLIGHT_GRAMMARS[primary] = rules;
+  for (const alias of aliases) {
+    HIGHLIGHT_ALIASES[alias] = primary;
+  }
+}
+
+const SLASH_COMMENT = ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y];
+const HASH_COMMENT = ["comment", /#[^\n]*/y];
+const DOUBLE_STRING = ["string", /"(?:[^"\\\n]|\\.)*"?/y];
+const SINGLE_STRING = ["string", /'(?:[^'\\\n]|\\.)*'?/y];
+const NUMBER = ["number", /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)[a-zA-Z]*\b/y];
+const CALL = ["function", /[A-Za-z_$][\w$]*(?=\s*\()/y];
+const WORD = [null, /[A-Za-z_$][\w$]*/y];
+
+function cLikeGrammar(keywords, literals) {
+  return [
+    SLASH_COMMENT,
+    DOUBLE_STRING,
+    SINGLE_STRING,
+    ["meta", /#\s*[a-z]+\b[^\n]*/y],
+    NUMBER,
+    ["keyword", keywordPattern(keywords)],
+    ["literal", keywordPattern(literals)],
+    CALL,
+    WORD
+  ];
+}
+
+defineGrammar(["javascript", "js", "jsx", "mjs", "cjs", "typescript", "ts", "tsx"], [
+  SLASH_COMMENT,
+  ["string", /`(?:[^`\\]|\\[\s\S])*`?/y],
+  DOUBLE_STRING,
+  SINGLE_STRING,
+  NUMBER,
+  ["keyword", keywordPattern(
+    "as async await break case catch class const continue debugger default delete do else enum export extends " +
+    "finally for from function get if implements import in instanceof interface let new of private protected " +
+    "public readonly return set static super switch throw try type typeof var void while with yield"
+  )],
+  ["literal", keywordPattern("true false null undefined NaN Infinity this")],
+  CALL,
+  WORD
+]);
+
+defineGrammar(["python", "py"], [
+  HASH_COMMENT,
+  ["string", /[rRbBfFuU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y],
+  ["string", /[rRbBfFuU]{0,2}(?:"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?)/y],
+  ["meta", /@[\w.]+/y],
+  NUMBER,
+  ["keyword", keywordPattern(
+    "and as assert async await break class continue def del elif else except finally for from global if " +
+    "import in is lambda match case nonlocal not or pass raise return try while with yield"
+  )],
+  ["literal", keywordPattern("True False None self cls")],
+  CALL,
+  WORD
+]);
+
+defineGrammar(["json", "jsonc", "json5"], [
+  SLASH_COMMENT,
+  ["property", /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+  DOUBLE_STRING,
+  NUMBER,
+  ["literal", keywordPattern("true false null")]
+]);
+
+defineGrammar(["css", "scss", "less"], [
+  SLASH_COMMENT,
+  DOUBLE_STRING,
+  SINGLE_STRING,
+  ["keyword", /@[\w-]+/y],
+  ["number", /#[\da-fA-F]{3,8}\b/y],
+  ["property", /[\w-]+(?=\s*:[^:])/y],
+  ["number", /-?\d*\.?\d+(?:%|[a-z]+)?/y],
+  ["function", /[\w-]+(?=\()/y],
+  ["tag", /[.#][\w-]+/y],
+  [null, /[\w-]+/y]
+]);
+
+defineGrammar(["html", "xml", "svg", "vue", "xhtml"], [
+  ["comment", /<!--[\s\S]*?(?:-->|$)/y],
+  ["meta", /<![^>]*>?/y],
+  ["tag", /<\/?[\w:-]+/y],
+  ["tag", /\/?>/y],
+  ["attr", /[\w:-]+(?==)/y],
+  DOUBLE_STRING,
+  SINGLE_STRING
+]);
+
+defineGrammar(["bash", "sh", "shell", "zsh", "console"], [
+  HASH_COMMENT,
+  DOUBLE_STRING,
+  SINGLE_STRING,
+  ["variable", /\$(?:\{[^}\n]*\}?|\w+|[@*#?$!0-9-])/y],
+  ["keyword", keywordPattern(
+    "if then else elif fi for in do done case esac while until function return export local readonly " +
+    "source alias unset shift exit"
+  )],
+  NUMBER,
+  [null, /[\w.-]+/y]
+]);
+
+defineGrammar(["c", "h"], cLikeGrammar(
+  "auto break case char const continue default do double else enum extern float for goto if inline int long " +
+  "register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while",
+  "NULL true false"
+));
+
+defineGrammar(["cpp", "c++", "cc", "hpp", "cxx"], cLikeGrammar(
+  "auto bool break case catch char class const constexpr continue default delete do double else enum explicit " +
+  "extern float for friend goto if inline int long mutable namespace new noexcept operator private protected " +
+  "public return short signed sizeof static struct switch template this throw try typedef typename union " +
+  "unsigned using virtual void volatile while",
+  "nullptr NULL true false"
+));
+
+defineGrammar(["java", "kotlin", "kt", "scala"], cLikeGrammar(
+  "abstract boolean break byte case catch char class const continue default do double else enum extends final " +
+  "finally float for fun if implements import instanceof int interface long native new object package private " +
+  "protected public return short static super switch synchronized this throw throws try val var void volatile when while",
+  "true false null"
+));
+
+defineGrammar(["csharp", "cs", "c#"], cLikeGrammar(
+  "abstract as async await base bool break byte case catch char class const continue decimal default delegate do " +
+  "double else enum event explicit extern finally fixed float for foreach if implicit in int interface internal is " +
+  "lock long namespace new object operator out override params private protected public readonly ref return sealed " +
+  "short static string struct switch this throw try typeof uint ulong unsafe using var virtual void while",
+  "true false null"
+));
+
+defineGrammar(["go", "golang"], cLikeGrammar(
+  "break case chan const continue default defer else fallthrough for func go goto if import interface map package " +
+  "range return select struct switch type var",
+  "true false nil iota"
+));
+
+defineGrammar(["rust", "rs"], cLikeGrammar(
+  "as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub " +
+  "ref return self Self static struct super trait type unsafe use where while",
+  "true false None Some Ok Err"
+));
+
+defineGrammar(["swift"], cLikeGrammar(
+  "as break case catch class continue default defer do else enum extension fallthrough for func guard if import in " +
+  "init inout internal let private protocol public repeat return self static struct subscript switch throw throws " +
+  "try var where while",
+  "true false nil"
+));
+
+defineGrammar(["sql", "mysql", "postgresql", "sqlite"], [
+  ["comment", /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+  SINGLE_STRING,
+  DOUBLE_STRING,
+  NUMBER,
+  ["keyword", keywordPattern(
+    "select from where insert into values update set delete create table drop alter add primary key foreign " +
+    "references index view join inner left right outer full on as and or not in is like between order by group " +
+    "having limit offset distinct union all case when then else end exists",
+    "yi"
+  )],
+  ["literal", keywordPattern("null true false", "yi")],
+  CALL,
+  WORD
+]);
+
+defineGrammar(["yaml", "yml"], [
+  HASH_COMMENT,
+  ["meta", /^(?:---|\.\.\.)$/my],
+  ["property", /[\w.-]+(?=\s*:(?:\s|$))/y],
+  DOUBLE_STRING,
+  SINGLE_STRING,
+  ["literal", keywordPattern("true false null yes no on off")],
+  NUMBER,
+  [null, /[\w.-]+/y]
+]);
+
+defineGrammar(["latex", "tex"], [
+  ["comment", /%[^\n]*/y],
+  ["string", /\$\$[\s\S]*?(?:\$\$|$)|\$[^$\n]*\$?/y],
+  ["keyword", /\\(?:begin|end)\b/y],
+  ["function", /\\(?:[A-Za-z@]+|.)/y],
+  ["tag", /\{[\w*-]+\}/y]
+]);
+
+defineGrammar(["markdown", "md"], [
+  ["keyword", /(?<=^|\n)#{1,6}[^\n]*/y],
+  ["string", /`[^`\n]*`?/y],
+  ["meta", /(?<=^|\n)\s*(?:[-*+]|\d+\.)\s/y],
+  ["function", /\[[^\]\n]*\]\([^)\n]*\)?/y],
+  ["literal", /\*\*[^*\n]+\*\*|\*[^*\n]+\*/y]
+]);
+
+defineGrammar(["diff", "patch"], [
+  ["inserted", /(?<=^|\n)\+[^\n]*/y],
+  ["deleted", /(?<=^|\n)-[^\n]*/y],
+  ["meta", /(?<=^|\n)@@[^\n]*/y]
+]);
+
+const HIGHLIGHT_LANGUAGES = Object.keys(HIGHLIGHT_GRAMMARS);
+
+function escapeCodeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function resolveHighlightLanguage(language) {
+  const name = (language || "").trim().toLowerCase();
+  if (HIGHLIGHT_GRAMMARS[name]) {
+    return name;
+  }
+  return HIGHLIGHT_ALIASES[name] || null;
+}
+
+function highlightCode(code, language) {
+  const resolved = resolveHighlightLanguage(language);
+  if (!resolved) {
+    return escapeCodeHtml(code);
+  }
+
+  const rules = HIGHLIGHT_GRAMMARS[resolved];
+  let html = "";
+  let plain = "";
+  let position = 0;
+
+  while (position < code.length) {
+    let matched = null;
+    for (const [className, pattern] of rules) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(code);
+      if (match && match[0].length > 0) {
+        matched = { className, text: match[0] };
+        break;
+      }
+    }
+
+    if (!matched) {
+      plain += code[position];
+      position += 1;
+      continue;
+    }
+
+    html += escapeCodeHtml(plain);
+    plain = "";
+    html += matched.className
+      ? `<span class="tok-${matched.className}">${escapeCodeHtml(matched.text)}</span>`
+      : escapeCodeHtml(matched.text);
+    position += matched.text.length;
+  }
+
+  return html + escapeCodeHtml(plain);
+}
@@ -0,0 +1,140 @@
+/* LaTeX commands offered by the math autocomplete. All of them render in KaTeX. */
+
+// ▮ marks a tab stop in a snippet. The caret also stops once more after the
+// inserted text, so Tab leaves the snippet.
+const LATEX_TAB_STOP = "▮";
+const LATEX_COMPLETION_LIMIT = 12;
+
+const LATEX_SYMBOLS = `
+  alpha beta gamma delta epsilon varepsilon zeta eta theta vartheta iota kappa lambda mu nu xi pi varpi rho
+  varrho sigma varsigma tau upsilon phi varphi chi psi omega Gamma Delta Theta Lambda Xi Pi Sigma Upsilon Phi
+  Psi Omega
+  infty partial nabla emptyset varnothing forall exists nexists neg ell hbar imath jmath Re Im aleph wp prime
+  angle triangle Box diamond clubsuit heartsuit spadesuit checkmark dagger ddagger
+  pm mp times div cdot ast star circ bullet oplus ominus otimes oslash odot cap cup sqcap sqcup vee wedge
+  setminus wr amalg
+  leq geq neq le ge ne ll gg approx sim simeq cong equiv propto prec succ preceq succeq subset supset subseteq
+  supseteq nsubseteq sqsubseteq sqsupseteq in notin ni mid nmid parallel perp models vdash dashv doteq asymp
+  leftarrow rightarrow leftrightarrow Leftarrow Rightarrow Leftrightarrow longleftarrow longrightarrow
+  longleftrightarrow Longleftarrow Longrightarrow Longleftrightarrow uparrow downarrow updownarrow Uparrow
+  Downarrow Updownarrow mapsto longmapsto to gets iff implies impliedby hookrightarrow hookleftarrow nearrow
+  searrow swarrow nwarrow rightharpoonup leftharpoondown rightleftharpoons
+  sum prod coprod int iint iiint oint bigcup bigcap bigsqcup bigvee bigwedge bigoplus bigotimes bigodot biguplus
+  sin cos tan cot sec csc arcsin arccos arctan sinh cosh tanh coth log ln lg exp lim liminf limsup sup inf max min
+  arg det dim ker hom gcd deg Pr
+  ldots cdots vdots ddots dots quad qquad langle rangle lceil rceil lfloor rfloor lvert rvert lVert rVert
+  backslash vert Vert colon
+`.trim().split(/\s+/);
+
+const LATEX_SNIPPETS = [
+  ["frac", "\\frac{▮}{▮}"],
+  ["dfrac", "\\dfrac{▮}{▮}"],
+  ["tfrac", "\\tfrac{▮}{▮}"],
+  ["cfrac", "\\cfrac{▮}{▮}"],
+  ["binom", "\\binom{▮}{▮}"],
+  ["sqrt", "\\sqrt{▮}"],
+  ["sqrt", "\\sqrt[▮]{▮}"],
+  ["text", "\\text{▮}"],
+  ["textbf", "\\textbf{▮}"],
+  ["textit", "\\textit{▮}"],
+  ["mathrm", "\\mathrm{▮}"],
+  ["mathbf", "\\mathbf{▮}"],
+  ["mathit", "\\mathit{▮}"],
+  ["mathbb", "\\mathbb{▮}"],
+  ["mathcal", "\\mathcal{▮}"],
+  ["mathfrak", "\\mathfrak{▮}"],
+  ["mathscr", "\\mathscr{▮}"],
+  ["mathsf", "\\mathsf{▮}"],
+  ["mathtt", "\\mathtt{▮}"],
+  ["boldsymbol", "\\boldsymbol{▮}"],
+  ["operatorname", "\\operatorname{▮}"],
+  ["hat", "\\hat{▮}"],
+  ["widehat", "\\widehat{▮}"],
+  ["tilde", "\\tilde{▮}"],
+  ["widetilde", "\\widetilde{▮}"],
+  ["bar", "\\bar{▮}"],
+  ["overline", "\\overline{▮}"],
+  ["underline", "\\underline{▮}"],
+  ["vec", "\\vec{▮}"],
+  ["overrightarrow", "\\overrightarrow{▮}"],
+  ["dot", "\\dot{▮}"],
+  ["ddot", "\\ddot{▮}"],
+  ["overbrace", "\\overbrace{▮}^{▮}"],
+  ["underbrace", "\\underbrace{▮}_{▮}"],
+  ["overset", "\\overset{▮}{▮}"],
+  ["underset", "\\underset{▮}{▮}"],
+  ["stackrel", "\\stackrel{▮}{▮}"],
+  ["xrightarrow", "\\xrightarrow{▮}"],
+  ["xleftarrow", "\\xleftarrow{▮}"],
+  ["color", "\\color{▮}"],
+  ["textcolor", "\\textcolor{▮}{▮}"],
+  ["boxed", "\\boxed{▮}"],
+  ["cancel", "\\cancel{▮}"],
+  ["pmod", "\\pmod{▮}"],
+  ["tag", "\\tag{▮}"],
+  ["label", "\\label{▮}"],
+  ["eqref", "\\eqref{▮}"],
+  ["left(", "\\left( ▮ \\right)"],
+  ["left[", "\\left[ ▮ \\right]"],
+  ["left\\{", "\\left\\{ ▮ \\right\\}"],
+  ["left|", "\\left| ▮ \\right|"],
+  ["left\\langle", "\\left\\langle ▮ \\right\\rangle"],
+  ["sum", "\\sum_{▮}^{▮}"],
+  ["prod", "\\prod_{▮}^{▮}"],
+  ["int", "\\int_{▮}^{▮}"],
+  ["lim", "\\lim_{▮ \\to ▮}"]
+];
+
+const LATEX_ENVIRONMENTS = [
+  ["aligned", "▮ &= ▮ \\\\ &= ▮"],
+  ["gathered", "▮ \\\\ ▮"],
+  ["cases", "▮ & \\text{if } ▮ \\\\ ▮ & \\text{otherwise}"],
+  ["matrix", "▮ & ▮ \\\\ ▮ & ▮"],
+  ["pmatrix", "▮ & ▮ \\\\ ▮ & ▮"],
+  ["bmatrix", "▮ & ▮ \\\\ ▮ & ▮"],
+  ["vmatrix", "▮ & ▮ \\\\ ▮ & ▮"],
+  ["Vmatrix", "▮ & ▮ \\\\ ▮ & ▮"],
+  ["smallmatrix", "▮ & ▮ \\\\ ▮ & ▮"],
+  ["array", "▮"],
+  ["align", "▮ &= ▮"],
+  ["gather", "▮"],
+  ["split", "▮ &= ▮"]
+];
+
+const LATEX_COMMANDS = [
+  ...LATEX_SYMBOLS.map((name) => ({ name: `\\${name}`, insert: `\\${name}` })),
+  ...LATEX_SNIPPETS.map(([name, insert]) => ({ name: `\\${name}`, insert })),
+  ...LATEX_ENVIRONMENTS.map(([name, body]) => ({
+    name: `\\begin{${name}}`,
+    insert: `\\begin{${name}}${name === "array" ? "{cc}" : ""} ${body} \\end{${name}}`
+  }))
+];
+
+// Example arguments that stand in for the tab stops in a rendered preview.
+function latexPreview(insert) {
+  let index = 0;
+  return insert.split(LATEX_TAB_STOP).reduce((preview, part) => {
+    const argument = "abcdefgh"[index % 8];
+    index += 1;
+    return `${preview}${argument}${part}`;
+  });
+}
+
+function macroInsert(name, body) {
+  const argumentCount = Math.max(0, ...Array.from(body.matchAll(/#(\d)/g), (match) => Number(match[1])));
+  return `${name}${`{${LATEX_TAB_STOP}}`.repeat(argumentCount)}`;
+}
+
+// Commands starting with the typed prefix, shortest first. User and document
+// macros are listed before the built-ins and hide any built-in of the same name.
+function latexCompletions(prefix, macros) {
+  const typed = `\\${prefix}`;
+  const macroEntries = Object.entries(macros).map(([name, body]) => ({ name, insert: macroInsert(name, body), macro: true }));
+  return [...macroEntries, ...LATEX_COMMANDS]
+    .filter((entry) => entry.name.startsWith(typed))
+    .filter((entry) => entry.macro || !Object.prototype.hasOwnProperty.call(macros, entry.name))
+    .sort((a, b) => Number(Boolean(b.macro)) - Number(Boolean(a.macro)) ||
+      a.name.length - b.name.length ||
+      a.name.localeCompare(b.name))
+    .slice(0, LATEX_COMPLETION_LIMIT);
+}
@@ -0,0 +1,114 @@
+/* global JSZip */
+/* The web build's document library: markdown documents kept in IndexedDB, searched and zipped. */
+
+const LIBRARY_DATABASE = "typora-clone-library";
+const LIBRARY_STORE = "documents";
+const LIBRARY_EXCERPT_LENGTH = 140;
+const LIBRARY_FILE_PATTERN = /\.(?:md|markdown|txt)$/i;
+
+let libraryDatabase = null;
+
+function openLibraryDatabase() {
+  if (!libraryDatabase) {
+    if (!window.indexedDB) {
+      return Promise.reject(new Error("this browser has no IndexedDB"));
+    }
+    const request = indexedDB.open(LIBRARY_DATABASE, 1);
+    request.addEventListener("upgradeneeded", () => {
+      request.result.createObjectStore(LIBRARY_STORE, { keyPath: "id", autoIncrement: true });
+    });
+    libraryDatabase = databaseRequest(request);
+    libraryDatabase.catch(() => {
+      libraryDatabase = null;
+    });
+  }
+  return libraryDatabase;
+}
+
+async function libraryStore(mode) {
+  const database = await openLibraryDatabase();
+  return database.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE);
+}
+
+// Most recently edited first.
+async function listLibraryDocuments() {
+  const documents = await databaseRequest((await libraryStore("readonly")).getAll());
+  return documents.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+async function getLibraryDocument(id) {
+  return (await databaseRequest((await libraryStore("readonly")).get(id))) || null;
+}
+
+// Adds a document when it has no id yet, and returns it with its id.
+async function putLibraryDocument(record) {
+  const id = await databaseRequest((await libraryStore("readwrite")).put(record));
+  return { ...record, id };
+}
+
+async function deleteLibraryDocument(id) {
+  await databaseRequest((await libraryStore("readwrite")).delete(id));
+}
+
+function libraryExcerpt(text, from = 0) {
+  const start = Math.max(0, from);
+  const excerpt = text.slice(start, start + LIBRARY_EXCERPT_LENGTH).replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "…" : ""}${excerpt}${start + LIBRARY_EXCERPT_LENGTH < text.length ? "…" : ""}`;
+}
+
+// Documents containing every word of the query, anywhere in their markdown,
+// each with an excerpt around the first match. An empty query matches every
+// document, with an excerpt from after its first heading.
+function searchLibraryDocuments(documents, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) {
+    return documents.map((record) => ({
+      record,
+      excerpt: libraryExcerpt(record.markdown.replace(/^ {0,3}#{1,6}[ \t].*$/m, ""))
+    }));
+  }
+  return documents.flatMap((record) => {
+    const text = record.markdown.toLowerCase();
+    const positions = words.map((word) => text.indexOf(word));
+    if (positions.some((position) => position < 0)) {
+      return [];
+    }
+    return [{ record, excerpt: libraryExcerpt(record.markdown, Math.min(...positions) - LIBRARY_EXCERPT_LENGTH / 4) }];
+  });
+}
+
+// A title made safe to use as a file name, without the extension.
+function safeFileBase(title) {
+  return title.replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "-").replace(/^[\s.-]+|[\s.]+$/g, "").slice(0, 80) || "Untitled";
+}
+
+function libraryFileName(title, used) {
+  const base = safeFileBase(title);
+  let name = `${base}.md`;
+  for (let index = 2; used.has(name.toLowerCase()); index += 1) {
+    name = `${base} (${index}).md`;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+async function libraryZip(documents) {
+  const zip = new JSZip();
+  const used = new Set();
+  for (const record of documents) {
+    zip.file(libraryFileName(record.title, used), record.markdown, { date: new Date(record.updatedAt) });
+  }
+  return zip.generateAsync({ type: "uint8array", compression: "DEFLATE" });
+}
+
+// The markdown files anywhere in a zip, as { name, markdown, updatedAt }.
+async function readLibraryZip(file) {
+  const zip = await JSZip.loadAsync(await file.arrayBuffer());
+  const entries = Object.values(zip.files).filter((entry) =>
+    !entry.dir && LIBRARY_FILE_PATTERN.test(entry.name) && !entry.name.startsWith("__MACOSX/"));
+  return Promise.all(entries.map(async (entry) => ({
+    name: entry.name.split("/").pop(),
+    markdown: await entry.async("string"),
+    updatedAt: entry.date.getTime()
+  })));
+}
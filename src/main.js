@@ -1,8 +1,52 @@
-/* global katex, markdownit, TurndownService */
+/* global katex, markdownit, markdownitFootnote, jsyaml, TurndownService, highlightCode, HIGHLIGHT_LANGUAGES */
 
 const STORAGE_KEY = "typora-clone-wysiwyg-html-v1";
+const SESSION_KEY = "typora-clone-session-v1";
+const SETTINGS_KEY = "typora-clone-settings-v1";
 const SAVE_DEBOUNCE_MS = 120;
+const PANELS_DEBOUNCE_MS = 400;
+const SOURCE_CHECK_DEBOUNCE_MS = 1000;
 const MATH_PASS_DEBOUNCE_MS = 70;
+const MATH_CACHE_LIMIT = 5000;
+const SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+const HISTORY_LIMIT = 100;
+const HISTORY_GROUP_MS = 800;
+const CODE_INDENT = "    ";
+const OUTLINE_ACTIVE_OFFSET = 80;
+const EQUATION_LABEL = /\\label\{([^{}\s%#\\]+)\}/g;
+const EQUATION_REFERENCE = /\\(eqref|ref)\{([^{}\s%#\\]+)\}/g;
+const MATH_BLANK_LINE = /\n[^\S\n]*\n/y;
+const MATH_DELIMITERS = { $: "$", $$: "$$", "\\(": "\\)", "\\[": "\\]" };
+const THEMES = { light: "Light", dark: "Dark", system: "Follow the system" };
+const DEFAULT_SETTINGS = {
+  imageFolder: "images",
+  outlineVisible: false,
+  problemsVisible: false,
+  historyVisible: false,
+  focusMode: false,
+  typewriterMode: false,
+  distractionFree: false,
+  libraryView: "list",
+  equationNumbering: false,
+  userMacros: "",
+  theme: "light",
+  typography: {
+    fontFamily: "",
+    fontSize: 16,
+    lineHeight: 1.65,
+    contentWidth: 980
+  },
+  userCss: "",
+  userCssName: "",
+  pdfExport: {
+    pageSize: "A4",
+    landscape: false,
+    marginMm: 20,
+    header: "",
+    pageNumbers: true,
+    theme: "default"
+  }
+};
 
 const DEFAULT_HTML = `
 <h1>Typora Clone WYSIWYG</h1>
@@ -18,769 +62,7644 @@ const toolbar = document.querySelector(".toolbar");
 const importInput = document.querySelector("#import-md");
 const mathPreview = document.querySelector("#math-preview");
 const mathPreviewContent = document.querySelector("#math-preview-content");
-
-if (!editor || !latencyEl || !toolbar || !importInput || !mathPreview || !mathPreviewContent) {
+const footnotePreview = document.querySelector("#footnote-preview");
+const mathComplete = document.querySelector("#math-complete");
+const problems = document.querySelector("#problems");
+const problemList = document.querySelector("#problem-list");
+const problemsEmpty = document.querySelector("#problems-empty");
+const historyPanel = document.querySelector("#history");
+const historyList = document.querySelector("#history-list");
+const historyEmpty = document.querySelector("#history-empty");
+const historyCheckpoint = document.querySelector("#history-checkpoint");
+const historyDialog = document.querySelector("#history-dialog");
+const historyDialogTitle = document.querySelector("#history-dialog-title");
+const historySummary = document.querySelector("#history-summary");
+const historyDiff = document.querySelector("#history-diff");
+const library = document.querySelector("#library");
+const librarySearch = document.querySelector("#library-search");
+const libraryList = document.querySelector("#library-list");
+const libraryEmpty = document.querySelector("#library-empty");
+const libraryImport = document.querySelector("#library-import");
+const sourceEditor = document.querySelector("#source-editor");
+const sourceWarnings = document.querySelector("#source-warnings");
+const codeTools = document.querySelector("#code-tools");
+const codeLanguageInput = document.querySelector("#code-language");
+const codeLanguageList = document.querySelector("#code-languages");
+const codeCopyButton = document.querySelector("#code-copy");
+const tableTools = document.querySelector("#table-tools");
+const linkPopover = document.querySelector("#link-popover");
+const linkUrlInput = document.querySelector("#link-url");
+const linkTextInput = document.querySelector("#link-text");
+const linkRemoveButton = document.querySelector("#link-remove");
+const linkTooltip = document.querySelector("#link-tooltip");
+const formDialog = document.querySelector("#form-dialog");
+const formDialogTitle = document.querySelector("#form-dialog-title");
+const formDialogFields = document.querySelector("#form-dialog-fields");
+const userThemeStyle = document.querySelector("#user-theme");
+const focusBlockStyle = document.querySelector("#focus-block");
+const formDialogConfirm = document.querySelector("#form-dialog-confirm");
+const outline = document.querySelector("#outline");
+const outlineList = document.querySelector("#outline-list");
+const outlineEmpty = document.querySelector("#outline-empty");
+const documentTabs = document.querySelector("#document-tabs");
+const filePanel = document.querySelector("#file-panel");
+const filePanelTitle = document.querySelector("#file-panel-title");
+const fileTree = document.querySelector("#file-tree");
+const findBar = document.querySelector("#find-bar");
+const findInput = document.querySelector("#find-input");
+const findCount = document.querySelector("#find-count");
+const replaceRow = document.querySelector("#replace-row");
+const replaceInput = document.querySelector("#replace-input");
+const desktop = window.desktop || null;
+const systemDarkQuery = window.matchMedia("(prefers-color-scheme: dark)");
+
+if (
+  !editor ||
+  !latencyEl ||
+  !toolbar ||
+  !importInput ||
+  !mathPreview ||
+  !mathPreviewContent ||
+  !footnotePreview ||
+  !mathComplete ||
+  !sourceEditor ||
+  !sourceWarnings ||
+  !codeTools ||
+  !codeLanguageInput ||
+  !codeLanguageList ||
+  !codeCopyButton ||
+  !tableTools ||
+  !linkPopover ||
+  !linkUrlInput ||
+  !linkTextInput ||
+  !linkRemoveButton ||
+  !linkTooltip ||
+  !formDialog ||
+  !formDialogTitle ||
+  !formDialogFields ||
+  !userThemeStyle ||
+  !focusBlockStyle ||
+  !formDialogConfirm ||
+  !outline ||
+  !outlineList ||
+  !outlineEmpty ||
+  !problems ||
+  !problemList ||
+  !problemsEmpty ||
+  !historyPanel ||
+  !historyList ||
+  !historyEmpty ||
+  !historyCheckpoint ||
+  !historyDialog ||
+  !historyDialogTitle ||
+  !historySummary ||
+  !historyDiff ||
+  !library ||
+  !librarySearch ||
+  !libraryList ||
+  !libraryEmpty ||
+  !libraryImport ||
+  !documentTabs ||
+  !filePanel ||
+  !filePanelTitle ||
+  !fileTree ||
+  !findBar ||
+  !findInput ||
+  !findCount ||
+  !replaceRow ||
+  !replaceInput
+) {
   throw new Error("Missing required DOM elements");
 }
 
-const md = markdownit({ html: true, linkify: true, breaks: false });
-const turndown = new TurndownService({ headingStyle: "atx", codeBlockStyle: "fenced" });
+const md = markdownit({ html: true, linkify: true, breaks: false }).use(markdownMathPlugin).use(markdownTocPlugin).use(markdownTaskListPlugin).use(markdownFootnotePlugin);
+const turndown = new TurndownService({
+  headingStyle: "atx",
+  codeBlockStyle: "fenced",
+  hr: "---",
+  bulletListMarker: "-",
+  emDelimiter: "*"
+});
+
+// Math still typed out in the text is kept as is, and any other dollar is
+// escaped so a markdown reader doesn't pair it up. Of a literal bracket pair
+// only the closing one is escaped, which is enough to keep it from forming a
+// link, since an escaped opening bracket would read back as display math.
+const escapeMarkdown = turndown.escape.bind(turndown);
+function escapeText(text) {
+  return escapeMarkdown(text).replace(/\\\[/g, "[").replace(/\$/g, "\\$");
+}
+
+turndown.escape = (text) => {
+  let escaped = "";
+  let last = 0;
+  for (const span of findMathSpans(text)) {
+    escaped += escapeText(text.slice(last, span.start)) + text.slice(span.start, span.end);
+    last = span.end;
+  }
+  return escaped + escapeText(text.slice(last));
+};
 
 turndown.addRule("mathToken", {
   filter: (node) => node.nodeType === Node.ELEMENT_NODE && node.classList.contains("math-token"),
   replacement: (_, node) => {
     const tex = node.getAttribute("data-tex") || "";
     const display = node.getAttribute("data-display") === "true";
-    return display ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+    const open = node.getAttribute("data-delimiter");
+    if (display) {
+      return open === "\\[" ? `\n\n\\[\n${tex}\n\\]\n\n` : `\n\n$$\n${tex}\n$$\n\n`;
+    }
+    // $…$ wouldn't read back as math before a digit or around a bare dollar.
+    const next = node.nextSibling;
+    const digitAfter = next !== null && next.nodeType === Node.TEXT_NODE && /^\d/.test(next.nodeValue || "");
+    return open === "\\(" || digitAfter || countUnescapedDollars(tex) > 0 ? `\\(${tex}\\)` : `$${tex}$`;
   }
 });
 
-let mathPassTimer = null;
-let saveTimer = null;
-let activeMathEdit = null;
-
-editor.innerHTML = localStorage.getItem(STORAGE_KEY) || DEFAULT_HTML;
-runMathPass(true);
-updateMathPreview();
-
-function scheduleSave() {
-  clearTimeout(saveTimer);
-  saveTimer = setTimeout(() => {
-    localStorage.setItem(STORAGE_KEY, editor.innerHTML);
-  }, SAVE_DEBOUNCE_MS);
-}
-
-function scheduleMathPass(aggressive = false) {
-  clearTimeout(mathPassTimer);
-  mathPassTimer = setTimeout(() => runMathPass(aggressive), MATH_PASS_DEBOUNCE_MS);
-}
+turndown.addRule("equationReference", {
+  filter: (node) => node.nodeType === Node.ELEMENT_NODE && node.classList.contains("eq-ref"),
+  replacement: (_, node) => `\\${node.getAttribute("data-ref-kind")}{${node.getAttribute("data-ref")}}`
+});
 
-function createMathToken(tex, displayMode) {
-  const span = document.createElement("span");
-  span.className = "math-token";
-  span.setAttribute("contenteditable", "false");
-  span.setAttribute("data-tex", tex);
-  span.setAttribute("data-display", displayMode ? "true" : "false");
+turndown.addRule("footnoteReference", {
+  filter: (node) => node.nodeType === Node.ELEMENT_NODE && node.classList.contains("footnote-ref"),
+  replacement: (_, node) => `[^${node.getAttribute("data-footnote")}]`
+});
 
-  try {
-    span.innerHTML = katex.renderToString(tex, {
-      throwOnError: false,
-      strict: "ignore",
-      displayMode
-    });
-  } catch {
-    span.textContent = displayMode ? `$$${tex}$$` : `$${tex}$`;
+// Paragraphs after the first of a definition are indented under it.
+turndown.addRule("footnoteDefinition", {
+  filter: (node) => isFootnoteDefinition(node),
+  replacement: (content, node) => {
+    const text = content.trim().replace(/\n/g, "\n    ");
+    return isFootnoteContinuation(node)
+      ? `\n\n    ${text}\n\n`
+      : `\n\n[^${node.getAttribute("data-footnote")}]:${text ? ` ${text}` : ""}\n\n`;
   }
+});
 
-  return span;
-}
-
-function currentSelectionTextNode() {
-  const sel = window.getSelection();
-  if (!sel || sel.rangeCount === 0) {
-    return null;
+turndown.addRule("codeBlock", {
+  filter: "pre",
+  replacement: (_, node) => {
+    const text = codeBlockText(node);
+    const info = node.getAttribute("data-info") ?? codeBlockLanguage(node);
+    const fence = fenceForCode(text, node.getAttribute("data-fence") || "```");
+    return `\n\n${fence}${info}\n${text}\n${fence}\n\n`;
   }
+});
 
-  const anchor = sel.anchorNode;
-  if (!anchor) {
-    return null;
-  }
+turndown.addRule("table", {
+  filter: "table",
+  replacement: (_, node) => `\n\n${serializeTable(node)}\n\n`
+});
 
-  return anchor.nodeType === Node.TEXT_NODE ? anchor : anchor.firstChild;
-}
+turndown.addRule("image", {
+  filter: "img",
+  replacement: (_, node) => serializeImage(node)
+});
 
-function runMathPass(aggressive) {
-  const startedAt = performance.now();
-  const activeTextNode = aggressive ? null : currentSelectionTextNode();
-  const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
-  const toReplace = [];
+turndown.addRule("toc", {
+  filter: (node) => isTocBlock(node),
+  replacement: () => "\n\n[TOC]\n\n"
+});
 
-  while (walker.nextNode()) {
-    const node = walker.currentNode;
-    const parent = node.parentElement;
-    if (!parent) {
-      continue;
-    }
+turndown.addRule("taskCheckbox", {
+  filter: (node) => isTaskCheckbox(node),
+  replacement: (_, node) => (node.hasAttribute("checked") ? "[x] " : "[ ] ")
+});
 
-    if (parent.closest(".math-token, code, pre, script, style")) {
-      continue;
+// One space after the marker, as in "- [ ] todo", with the item's other lines
+// indented to line up with its text and blank lines left empty.
+turndown.addRule("listItem", {
+  filter: "li",
+  replacement: (content, node, options) => {
+    const list = node.parentNode;
+    let marker = options.bulletListMarker;
+    if (list.nodeName === "OL") {
+      const start = list.getAttribute("start");
+      marker = `${(start ? Number(start) : 1) + Array.prototype.indexOf.call(list.children, node)}.`;
     }
+    const indent = " ".repeat(marker.length + 1);
+    const text = content.replace(/^\n+/, "").replace(/\n+$/, "\n").replace(/\n(?=[^\n])/g, `\n${indent}`);
+    return `${marker} ${text}${node.nextSibling ? "\n" : ""}`;
+  }
+});
 
-    if (!aggressive && activeTextNode && node === activeTextNode) {
-      continue;
-    }
+turndown.addRule("strikethrough", {
+  filter: ["del", "s", "strike"],
+  replacement: (content) => `~~${content}~~`
+});
 
-    const text = node.nodeValue || "";
-    if (!text.includes("$")) {
-      continue;
-    }
+// A footnote's lists, code blocks and other blocks are indented under it like
+// its paragraphs, and written as they would be anywhere else. This rule comes
+// last so that it wins over the rules for those blocks.
+turndown.addRule("footnoteBlock", {
+  filter: (node) => isFootnoteBlock(node) && !isFootnoteDefinition(node) && isFootnoteContinuation(node),
+  replacement: (_, node) => {
+    const block = node.cloneNode(true);
+    block.classList.remove("footnote-def");
+    block.removeAttribute("data-footnote");
+    block.removeAttribute("data-continued");
+    const wrapper = document.createElement("div");
+    wrapper.appendChild(block);
+    return `\n\n    ${turndown.turndown(wrapper).replace(/\n(?=[^\n])/g, "\n    ")}\n\n`;
+  }
+});
 
-    if (!/(\$\$[\s\S]+?\$\$)|(\$[^$\n]+?\$)/.test(text)) {
-      continue;
+const MARKDOWN_BLOCK_TAG = /^(?:P|H[1-6]|UL|OL|PRE|BLOCKQUOTE|TABLE|HR|NAV|DIV|DL|FIGURE|SECTION)$/;
+const BLOCK_INPUT_RULE = /^(#{1,6}|[-*+]|\d{1,9}[.)]|>) $/;
+const SAFE_LINK_PROTOCOL = /^(?:https?|mailto):/i;
+const SCRIPT_URL = /(?:^|,)(?:javascript|vbscript):/i;
+const MARKDOWN_FILE = /\.(?:md|markdown)$/i;
+const FRONT_MATTER = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+const TASK_MARKER = /^\[([ xX])\](?:[ \t]+|$)/;
+const TASK_INPUT_RULE = /^\[([ xX])\] $/;
+const INLINE_INPUT_RULES = [
+  {
+    pattern: /\*\*([^*\s](?:[^*]*[^*\s])?)\*\*$/,
+    create: (match) => inlineRuleElement("strong", match[1])
+  },
+  {
+    pattern: /(?<![*\\])\*([^*\s](?:[^*]*[^*\s])?)\*$/,
+    create: (match) => inlineRuleElement("em", match[1])
+  },
+  {
+    pattern: /`([^`]+)`$/,
+    create: (match) => inlineRuleElement("code", match[1])
+  },
+  {
+    pattern: /~~([^~\s](?:[^~]*[^~\s])?)~~$/,
+    create: (match) => inlineRuleElement("del", match[1])
+  },
+  {
+    pattern: /\[([^\]]+)\]\(([^()\s]+)\)$/,
+    create: (match) => {
+      if (!isSafeLinkUrl(match[2])) {
+        return null;
+      }
+      const anchor = inlineRuleElement("a", match[1]);
+      anchor.setAttribute("href", match[2]);
+      return anchor;
     }
-
-    toReplace.push(node);
+  },
+  {
+    pattern: /(?<!\\)\\(eqref|ref)\{([^{}\s%#\\]+)\}$/,
+    create: (match) => createEquationReference(match[1], match[2])
   }
+];
 
-  for (const node of toReplace) {
-    const value = node.nodeValue || "";
-    const fragment = document.createDocumentFragment();
-    const regex = /(\$\$([\s\S]+?)\$\$)|(\$([^$\n]+?)\$)/g;
-    let last = 0;
-    let match = regex.exec(value);
-
-    while (match) {
-      if (match.index > last) {
-        fragment.appendChild(document.createTextNode(value.slice(last, match.index)));
-      }
+let mathPassTimer = null;
+let saveTimer = null;
+let panelsTimer = null;
+let documentSyncTimer = null;
+let sourceCheckTimer = null;
+let sourcePreview = null;
+let storageFull = false;
+const mathDirtyBlocks = new Set();
+const blockHtmlCache = new WeakMap();
+const blockMarkdownCache = new WeakMap();
+const mathHtmlCache = new Map();
+let editorHtmlChanged = true;
+const editorObserver = new MutationObserver((records) => trackEditorMutations(records));
+editorObserver.observe(editor, { childList: true, characterData: true, attributes: true, subtree: true });
+let activeMathEdit = null;
+let mathCompletion = null;
+let mathSnippetStops = null;
+const completionGlyphs = new Map();
+let lastInputRule = null;
+let sourceMode = false;
+let activeCodeBlock = null;
+let activeTable = null;
+let linkEdit = null;
+let draggedHeadingIndex = null;
+let outlineKey = null;
+let problemsKey = null;
+let historySnapshots = [];
+let historyDocumentKey = null;
+let lastSnapshot = null;
+let lastSnapshotAt = 0;
+let autoSnapshots = true;
+// Web build only: the library document in the editor, and what was last
+// written to it.
+let libraryDocument = null;
+let librarySavedMarkdown = null;
+let librarySaveFailed = false;
+let libraryDocuments = [];
+let equationNumbers = new Map();
+let footnoteReturn = null;
+const renderedReferences = new WeakMap();
+let userMacroText = "";
+let userMacros = {};
+let mathMacros = {};
+
+// App-level undo stack. Math tokens are expanded, collapsed and edited by
+// replacing DOM nodes directly, which the browser's own history can't follow.
+const editHistory = {
+  undo: [],
+  redo: [],
+  current: null,
+  lastKind: null,
+  lastAt: 0
+};
+let currentFilePath = null;
+let cleanMarkdown = null;
+let documentDirty = false;
+
+// Documents open in tabs. The active one lives in the editor and the globals
+// above; the others keep a snapshot of them until they are switched back to.
+const openDocuments = [];
+let activeDocument = null;
+let nextDocumentId = 0;
+let workspaceFolder = null;
+let workspaceTree = [];
+let selectedTreePath = null;
+const expandedFolders = new Set();
+
+const findOptions = { caseSensitive: false, wholeWord: false, regex: false };
+const findState = { matches: [], index: -1, error: null };
+
+const session = readStoredJson(SESSION_KEY);
+const settings = { ...DEFAULT_SETTINGS, ...readStoredJson(SETTINGS_KEY) };
+applyTheme();
+applyTypography();
+userThemeStyle.textContent = settings.userCss;
+if (!desktop) {
+  userMacroText = settings.userMacros;
+  userMacros = parseMacroPreamble(userMacroText) || {};
+  mathMacros = { ...userMacros };
+}
+editor.innerHTML = localStorage.getItem(STORAGE_KEY) || DEFAULT_HTML;
+runMathPass(true);
+updateMathMacros();
+updateOutline();
+setOutlineVisible(Boolean(settings.outlineVisible));
+setProblemsVisible(Boolean(settings.problemsVisible));
+setHistoryVisible(Boolean(settings.historyVisible));
+setEquationNumbering(Boolean(settings.equationNumbering));
+setFocusMode(Boolean(settings.focusMode));
+setTypewriterMode(Boolean(settings.typewriterMode));
+document.body.classList.toggle("distraction-free", Boolean(settings.distractionFree));
+if (settings.distractionFree) {
+  enterFullscreenOnGesture();
+}
+resetHistory();
+currentFilePath = session.filePath || null;
+activeDocument = createDocumentRecord(currentFilePath);
+openDocuments.push(activeDocument);
+if (!session.dirty) {
+  cleanMarkdown = serializeMarkdown();
+}
+updateDocumentState();
+updateMathPreview();
+if (!desktop) {
+  toolbar.querySelector("[data-action='library']").hidden = false;
+  attachLibraryDocument(session.libraryId)
+    .catch((error) => window.alert(`Could not open the document library: ${error.message}`))
+    .finally(() => takeAutoSnapshot());
+}
+if (desktop) {
+  takeAutoSnapshot();
+  restoreWorkspace(session);
+  desktop.readUserMacros()
+    .then(applyUserMacros)
+    .catch((error) => window.alert(`Could not load the math macros: ${error.message}`));
+}
 
-      const isBlock = Boolean(match[1]);
-      const tex = (isBlock ? match[2] : match[4] || "").trim();
-      if (tex.length > 0) {
-        fragment.appendChild(createMathToken(tex, isBlock));
-      } else {
-        fragment.appendChild(document.createTextNode(match[0]));
-      }
+function readStoredJson(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "{}") || {};
+  } catch {
+    return {};
+  }
+}
 
-      last = regex.lastIndex;
-      match = regex.exec(value);
+// The browser's storage quota is small, so a large document can fill it. The
+// user is told once until a write succeeds again.
+function storeLocally(key, value) {
+  try {
+    localStorage.setItem(key, value);
+    storageFull = false;
+    return true;
+  } catch (error) {
+    if (!storageFull) {
+      storageFull = true;
+      window.alert(`Could not keep your changes in the browser's storage, which may be full: ${error.message}`);
     }
+    return false;
+  }
+}
 
-    if (last < value.length) {
-      fragment.appendChild(document.createTextNode(value.slice(last)));
-    }
+function saveSettings() {
+  return storeLocally(SETTINGS_KEY, JSON.stringify(settings));
+}
 
-    node.replaceWith(fragment);
-  }
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveEditorState, SAVE_DEBOUNCE_MS);
+}
 
-  latencyEl.textContent = `Math pass: ${(performance.now() - startedAt).toFixed(1)} ms`;
-  if (activeMathEdit && !editor.contains(activeMathEdit.textNode)) {
-    activeMathEdit = null;
+// Only the blocks that changed since the last save are serialized again; the
+// outline and the other panels that look at the whole document catch up once
+// typing pauses.
+function saveEditorState() {
+  if (sourceMode) {
+    scheduleSourceCheck();
+  } else {
+    schedulePanelsUpdate();
+    storeEditorHtml();
   }
-  scheduleSave();
-  updateMathPreview();
+  if (!findBar.hidden) {
+    runFind(true);
+  }
+  takeAutoSnapshot();
+  setDocumentDirty(serializeMarkdown() !== cleanMarkdown);
+  clearTimeout(documentSyncTimer);
+  documentSyncTimer = whenIdle(syncDocument, PANELS_DEBOUNCE_MS);
 }
 
-function insertMathByPrompt() {
-  const tex = window.prompt("LaTeX expression (without delimiters):", "x^2 + y^2 = z^2");
-  if (tex == null) {
+// The desktop app asks before closing a window with unsaved changes, so it
+// hears about the dirty flag straight away rather than with the rest.
+function setDocumentDirty(dirty) {
+  if (dirty === documentDirty) {
     return;
   }
 
-  const isBlock = window.confirm("Render as block math?\nOK = block ($$...$$), Cancel = inline ($...$)");
-  const raw = isBlock ? `$$${tex}$$` : `$${tex}$`;
+  documentDirty = dirty;
+  activeDocument.dirty = dirty;
+  if (desktop) {
+    desktop.setDocumentState({ filePath: currentFilePath, dirty: hasUnsavedDocuments() });
+  }
+}
 
-  document.execCommand("insertText", false, raw);
-  scheduleMathPass(true);
+function syncDocument() {
+  const markdown = serializeMarkdown();
+  saveToLibrary(markdown);
+  updateDocumentState(markdown);
 }
 
-function applyHeading(level) {
-  document.execCommand("formatBlock", false, level === 1 ? "h1" : "h2");
+function whenIdle(callback, delay) {
+  return setTimeout(() => (window.requestIdleCallback || ((run) => run()))(callback), delay);
 }
 
-function sanitizeImportedHtml(html) {
-  const wrapper = document.createElement("div");
-  wrapper.innerHTML = html;
-  wrapper.querySelectorAll("script, iframe, object, embed").forEach((el) => el.remove());
-  return wrapper.innerHTML;
+function schedulePanelsUpdate() {
+  clearTimeout(panelsTimer);
+  panelsTimer = whenIdle(updatePanels, PANELS_DEBOUNCE_MS);
 }
 
-function exportMarkdown() {
-  const cloned = editor.cloneNode(true);
-  cloned.querySelectorAll(".math-token").forEach((token) => {
-    const tex = token.getAttribute("data-tex") || "";
-    const display = token.getAttribute("data-display") === "true";
-    token.replaceWith(document.createTextNode(display ? `$$${tex}$$` : `$${tex}$`));
-  });
+function updatePanels() {
+  if (sourceMode) {
+    return;
+  }
 
-  const markdown = turndown.turndown(cloned.innerHTML).trimEnd() + "\n";
-  const blob = new Blob([markdown], { type: "text/markdown;charset=utf-8" });
-  const url = URL.createObjectURL(blob);
-  const anchor = document.createElement("a");
-  anchor.href = url;
-  anchor.download = "document.md";
-  anchor.click();
-  URL.revokeObjectURL(url);
+  updateOutline();
+  updateMathMacros();
+  updateEquationNumbers();
+  updateFootnotes();
+  updateFrontMatter();
+  updateProblems();
+  storeEditorHtml();
 }
 
-function isMathTokenNode(node) {
-  return node instanceof HTMLElement && node.classList.contains("math-token");
+function documentDisplayName() {
+  if (currentFilePath) {
+    return pathBaseName(currentFilePath);
+  }
+  return libraryDocument ? libraryDocument.title : "Untitled";
 }
 
-function mathRawForToken(token) {
-  const tex = token.getAttribute("data-tex") || "";
-  const display = token.getAttribute("data-display") === "true";
-  const delimiterSize = display ? 2 : 1;
-  return {
-    tex,
-    display,
-    delimiterSize,
-    raw: display ? `$$${tex}$$` : `$${tex}$`
-  };
+function updateDocumentState(markdown = serializeMarkdown()) {
+  documentDirty = markdown !== cleanMarkdown;
+  activeDocument.filePath = currentFilePath;
+  activeDocument.dirty = documentDirty;
+  storeLocally(SESSION_KEY, JSON.stringify({
+    filePath: currentFilePath,
+    dirty: documentDirty,
+    folderPath: workspaceFolder,
+    openFiles: openDocuments.filter((record) => record.filePath).map((record) => record.filePath),
+    libraryId: libraryDocument ? libraryDocument.id : null
+  }));
+  document.title = `${documentDirty ? "• " : ""}${frontMatterTitle(markdown) || documentDisplayName()} — Typora Clone`;
+  renderDocumentTabs();
+  if (!historyPanel.hidden && historyDocumentKey !== snapshotDocumentKey()) {
+    refreshHistory();
+  }
+  fileTree.querySelectorAll(".tree-item").forEach((item) => {
+    item.classList.toggle("is-active", item.getAttribute("data-path") === currentFilePath);
+  });
+
+  if (desktop) {
+    desktop.setDocumentState({ filePath: currentFilePath, dirty: hasUnsavedDocuments() });
+  }
 }
 
-function setCaret(node, offset) {
-  const range = document.createRange();
-  range.setStart(node, Math.max(0, Math.min(offset, node.nodeValue ? node.nodeValue.length : 0)));
-  range.collapse(true);
+function markDocumentClean(markdown) {
+  cleanMarkdown = markdown;
+  updateDocumentState();
+}
 
-  const selection = window.getSelection();
-  if (!selection) {
-    return;
+function confirmDiscardChanges() {
+  if (!documentDirty) {
+    return true;
   }
 
-  selection.removeAllRanges();
-  selection.addRange(range);
+  return window.confirm(`Discard unsaved changes to ${documentDisplayName()}?`);
 }
 
-function setCaretAfterNode(node) {
-  const range = document.createRange();
-  range.setStartAfter(node);
-  range.collapse(true);
-
-  const selection = window.getSelection();
-  if (!selection) {
-    return;
+// Selections are stored as an element path plus a character offset inside
+// that element: serializing to innerHTML merges adjacent text nodes, so paths
+// to the text nodes themselves would not survive a restore.
+function elementPath(element) {
+  const path = [];
+  let current = element;
+  while (current && current !== editor) {
+    const parent = current.parentElement;
+    if (!parent) {
+      return null;
+    }
+    path.unshift(Array.prototype.indexOf.call(parent.children, current));
+    current = parent;
   }
+  return current === editor ? path : null;
+}
 
-  selection.removeAllRanges();
-  selection.addRange(range);
+function elementAtPath(path) {
+  let current = editor;
+  for (const index of path) {
+    if (!current.children[index]) {
+      return null;
+    }
+    current = current.children[index];
+  }
+  return current;
 }
 
-function setCaretBeforeNode(node) {
-  const range = document.createRange();
-  range.setStartBefore(node);
-  range.collapse(true);
+function captureBoundary(node, offset) {
+  const container = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const path = container ? elementPath(container) : null;
+  if (!path) {
+    return null;
+  }
 
+  const probe = document.createRange();
+  probe.selectNodeContents(container);
+  probe.setEnd(node, offset);
+  return { path, offset: probe.toString().length };
+}
+
+function captureSelection() {
   const selection = window.getSelection();
-  if (!selection) {
-    return;
+  if (!selection || selection.rangeCount === 0 || !editor.contains(selection.anchorNode)) {
+    return null;
   }
 
-  selection.removeAllRanges();
-  selection.addRange(range);
+  const anchor = captureBoundary(selection.anchorNode, selection.anchorOffset);
+  const focus = captureBoundary(selection.focusNode, selection.focusOffset);
+  return anchor && focus ? { anchor, focus } : null;
 }
 
-function setCaretBeforeReferenceNode(parent, node) {
-  const range = document.createRange();
-  range.setStartBefore(node);
-  range.collapse(true);
-
+function restoreSelection(saved) {
   const selection = window.getSelection();
   if (!selection) {
     return;
   }
 
-  selection.removeAllRanges();
-  selection.addRange(range);
-  if (parent instanceof HTMLElement) {
-    parent.focus();
+  const anchorContainer = saved ? elementAtPath(saved.anchor.path) : null;
+  const focusContainer = saved ? elementAtPath(saved.focus.path) : null;
+  if (!anchorContainer || !focusContainer) {
+    const range = document.createRange();
+    range.selectNodeContents(editor);
+    range.collapse(false);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    return;
   }
-}
 
-function getCollapsedEditorRange() {
-  const selection = window.getSelection();
-  if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
-    return null;
-  }
+  const anchor = positionAtTextOffset(anchorContainer, saved.anchor.offset);
+  const focus = positionAtTextOffset(focusContainer, saved.focus.offset);
+  selection.setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+}
 
-  const range = selection.getRangeAt(0);
-  if (!editor.contains(range.startContainer)) {
-    return null;
-  }
+// A step keeps the markup of every block, but the strings of blocks that
+// didn't change are shared with the steps around it.
+function captureEditorState() {
+  return { blocks: editorBlocksHtml(), selection: captureSelection() };
+}
 
-  return range;
+function sameBlocks(a, b) {
+  return a.length === b.length && a.every((html, index) => html === b[index]);
 }
 
-function adjacentSignificantSibling(node, direction) {
-  let sibling = direction === "next" ? node.nextSibling : node.previousSibling;
-  while (sibling && sibling.nodeType === Node.TEXT_NODE && !(sibling.nodeValue || "").length) {
-    sibling = direction === "next" ? sibling.nextSibling : sibling.previousSibling;
-  }
-  return sibling;
+function resetHistory() {
+  editHistory.undo = [];
+  editHistory.redo = [];
+  editHistory.current = captureEditorState();
+  editHistory.lastKind = null;
 }
 
-function adjacentMathToken(range, direction) {
-  const { startContainer, startOffset } = range;
+// kind is "typing" for keystrokes that group into one step, "edit" for
+// structural changes and "transparent" for math renders and expansions, which
+// update the current step instead of adding one.
+function recordHistory(kind = "edit") {
+  if (sourceMode) {
+    return;
+  }
 
-  if (startContainer.nodeType === Node.TEXT_NODE) {
-    const text = startContainer.nodeValue || "";
-    const boundaryOffset = direction === "next" ? text.length : 0;
-    if (startOffset !== boundaryOffset) {
-      return null;
-    }
+  const state = captureEditorState();
+  const { current } = editHistory;
+  if (!current || kind === "transparent") {
+    editHistory.current = state;
+    return;
+  }
 
-    const sibling = adjacentSignificantSibling(startContainer, direction);
-    return isMathTokenNode(sibling) ? sibling : null;
+  if (sameBlocks(state.blocks, current.blocks)) {
+    current.selection = state.selection;
+    return;
   }
 
-  if (startContainer.nodeType === Node.ELEMENT_NODE) {
-    const element = startContainer;
-    const sibling = direction === "next"
-      ? element.childNodes[startOffset]
-      : (startOffset > 0 ? element.childNodes[startOffset - 1] : null);
-    return isMathTokenNode(sibling) ? sibling : null;
+  const now = performance.now();
+  const grouped = kind === "typing" &&
+    editHistory.lastKind === "typing" &&
+    now - editHistory.lastAt < HISTORY_GROUP_MS;
+
+  if (!grouped) {
+    editHistory.undo.push(current);
+    if (editHistory.undo.length > HISTORY_LIMIT) {
+      editHistory.undo.shift();
+    }
   }
 
-  return null;
+  editHistory.redo = [];
+  editHistory.current = state;
+  editHistory.lastKind = kind;
+  editHistory.lastAt = now;
 }
 
-function nearestEditorChild(node) {
-  let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
-  while (current && current.parentElement && current.parentElement !== editor) {
-    current = current.parentElement;
+// Only the blocks between the first and the last that differ are replaced, so
+// the others keep their cached markup and markdown.
+function applyHistoryState(state) {
+  const nodes = Array.from(editor.childNodes);
+  const current = editorBlocksHtml();
+  const { blocks } = state;
+  let start = 0;
+  while (start < nodes.length && start < blocks.length && current[start] === blocks[start]) {
+    start += 1;
   }
-  return current && current.parentElement === editor ? current : null;
+  let end = 0;
+  while (
+    end < nodes.length - start &&
+    end < blocks.length - start &&
+    current[nodes.length - 1 - end] === blocks[blocks.length - 1 - end]
+  ) {
+    end += 1;
+  }
+
+  const replacement = document.createElement("template");
+  replacement.innerHTML = blocks.slice(start, blocks.length - end).join("");
+  nodes.slice(start, nodes.length - end).forEach((node) => node.remove());
+  editor.insertBefore(replacement.content, nodes[nodes.length - end] || null);
+  lastInputRule = null;
+  editor.focus({ preventScroll: true });
+  restoreSelection(state.selection);
+
+  const range = getCollapsedEditorRange();
+  activeMathEdit = range && range.startContainer.nodeType === Node.TEXT_NODE && getActiveMathSnippet()
+    ? { textNode: range.startContainer }
+    : null;
+
+  scheduleMathPass(false);
+  updateOutline();
+  scheduleSave();
+  updateMathPreview();
 }
 
-function nextEditorChild(node) {
-  let sibling = node.nextSibling;
-  while (sibling && sibling.nodeType === Node.TEXT_NODE && !(sibling.nodeValue || "").trim()) {
-    sibling = sibling.nextSibling;
+function undoEdit() {
+  recordHistory("edit");
+  if (!editHistory.undo.length) {
+    return;
   }
-  return sibling;
+
+  editHistory.redo.push(editHistory.current);
+  editHistory.current = editHistory.undo.pop();
+  editHistory.lastKind = null;
+  applyHistoryState(editHistory.current);
 }
 
-function previousEditorChild(node) {
-  let sibling = node.previousSibling;
-  while (sibling && sibling.nodeType === Node.TEXT_NODE && !(sibling.nodeValue || "").trim()) {
-    sibling = sibling.previousSibling;
+function redoEdit() {
+  recordHistory("edit");
+  if (!editHistory.redo.length) {
+    return;
   }
-  return sibling;
+
+  editHistory.undo.push(editHistory.current);
+  editHistory.current = editHistory.redo.pop();
+  editHistory.lastKind = null;
+  applyHistoryState(editHistory.current);
 }
 
-function isRangeAtContainerStart(range, container) {
-  const probe = document.createRange();
-  probe.selectNodeContents(container);
-  probe.collapse(true);
-  return range.compareBoundaryPoints(Range.START_TO_START, probe) === 0;
+function historyKindForInput(inputType) {
+  return /^(insertText|insertCompositionText|deleteContent(Backward|Forward))$/.test(inputType || "")
+    ? "typing"
+    : "edit";
 }
 
-function isRangeAtContainerEnd(range, container) {
-  const probe = document.createRange();
-  probe.selectNodeContents(container);
-  probe.collapse(false);
-  return range.compareBoundaryPoints(Range.END_TO_END, probe) === 0;
+function scheduleMathPass(aggressive = false) {
+  clearTimeout(mathPassTimer);
+  mathPassTimer = setTimeout(() => runMathPass(aggressive), MATH_PASS_DEBOUNCE_MS);
 }
 
-function mergeWithNextEditorBlock() {
-  const range = getCollapsedEditorRange();
-  if (!range) {
-    return false;
+// Tokens typed with \(…\) or \[…\] remember it so they are saved the same way.
+function createMathToken(tex, displayMode, open = null) {
+  const span = mathTokenElement(tex, displayMode, open);
+  renderMathToken(span);
+  return span;
+}
+
+// A math token before KaTeX has rendered into it.
+function mathTokenElement(tex, displayMode, open = null) {
+  const span = document.createElement("span");
+  span.className = "math-token";
+  span.setAttribute("contenteditable", "false");
+  span.setAttribute("data-tex", tex);
+  span.setAttribute("data-display", displayMode ? "true" : "false");
+  if (open && open.startsWith("\\")) {
+    span.setAttribute("data-delimiter", open);
   }
+  return span;
+}
 
-  const current = nearestEditorChild(range.startContainer);
-  if (!current || !isRangeAtContainerEnd(range, current)) {
-    return false;
+function renderMathToken(token) {
+  const tex = token.getAttribute("data-tex") || "";
+  const displayMode = token.getAttribute("data-display") === "true";
+  renderedReferences.set(token, equationReferenceKey(tex));
+
+  const preamble = displayMode ? parseMacroPreamble(tex) : null;
+  if (preamble) {
+    token.setAttribute("data-preamble", "true");
+    token.textContent = `Macros: ${Object.keys(preamble).join(" ")}`;
+    return;
   }
+  token.removeAttribute("data-preamble");
 
-  const next = nextEditorChild(current);
-  if (!(next instanceof HTMLElement)) {
-    return false;
+  let problem = null;
+  try {
+    const rendered = renderMath(tex, displayMode, token.getAttribute("data-number"));
+    token.innerHTML = rendered.html;
+    problem = rendered.problem;
+  } catch {
+    token.textContent = displayMode ? `$$${tex}$$` : `$${tex}$`;
   }
 
-  const firstMoved = next.firstChild;
-  if (!firstMoved) {
-    next.remove();
-    return false;
+  if (problem) {
+    token.setAttribute("data-error", problem.message);
+    token.title = mathErrorText(tex, problem);
+  } else {
+    token.removeAttribute("data-error");
+    token.removeAttribute("title");
   }
+  if (problem && problem.position !== null) {
+    token.setAttribute("data-error-position", String(problem.position));
+  } else {
+    token.removeAttribute("data-error-position");
+  }
+}
 
-  while (next.firstChild) {
-    current.appendChild(next.firstChild);
+function mathRenderOptions(displayMode) {
+  return {
+    throwOnError: true,
+    strict: "ignore",
+    displayMode,
+    macros: { ...mathMacros },
+    trust: isEquationLink
+  };
+}
+
+// A parse error still renders, as KaTeX's red source text, and also comes back
+// as a problem with its position in tex.
+function renderMath(tex, displayMode, number = null) {
+  const renderTex = mathRenderTex(tex, number);
+  const key = `${displayMode ? "display" : "inline"}\n${tex}\n${renderTex}`;
+  let rendered = mathHtmlCache.get(key);
+  if (rendered) {
+    return rendered;
   }
-  next.remove();
-  setCaretBeforeReferenceNode(current, firstMoved);
-  scheduleSave();
-  return true;
+
+  try {
+    rendered = { html: katex.renderToString(renderTex, mathRenderOptions(displayMode)), problem: null };
+  } catch (error) {
+    if (!(error instanceof katex.ParseError)) {
+      throw error;
+    }
+    rendered = {
+      html: katex.renderToString(renderTex, { ...mathRenderOptions(displayMode), throwOnError: false }),
+      problem: describeMathError(tex, error, displayMode)
+    };
+  }
+
+  mathHtmlCache.set(key, rendered);
+  if (mathHtmlCache.size > MATH_CACHE_LIMIT) {
+    mathHtmlCache.delete(mathHtmlCache.keys().next().value);
+  }
+  return rendered;
 }
 
-function mergeWithPreviousEditorBlock() {
-  const range = getCollapsedEditorRange();
-  if (!range) {
-    return false;
+// KaTeX reports positions in the rewritten source it parsed. Parsing again with
+// labels and references blanked out at their own length gives a position in tex.
+function describeMathError(tex, error, displayMode) {
+  const aligned = tex
+    .replace(EQUATION_LABEL, (label) => " ".repeat(label.length))
+    .replace(EQUATION_REFERENCE, (reference) => "\\relax".padEnd(reference.length));
+  let position = null;
+  let length = 0;
+  try {
+    katex.renderToString(aligned, mathRenderOptions(displayMode));
+  } catch (alignedError) {
+    if (alignedError instanceof katex.ParseError && Number.isInteger(alignedError.position)) {
+      position = alignedError.position;
+      length = alignedError.length || 0;
+    }
   }
+  return { message: error.rawMessage || error.message, position, length };
+}
 
-  const current = nearestEditorChild(range.startContainer);
-  if (!current || !isRangeAtContainerStart(range, current)) {
-    return false;
+function mathErrorText(tex, problem) {
+  if (problem.position === null) {
+    return `LaTeX error: ${problem.message}`;
   }
 
-  const previous = previousEditorChild(current);
-  if (!(previous instanceof HTMLElement)) {
-    return false;
+  const before = tex.slice(Math.max(0, problem.position - 24), problem.position);
+  const after = tex.slice(problem.position, problem.position + 24);
+  return `LaTeX error at character ${problem.position + 1}: ${problem.message}\n${before}▶${after}`;
+}
+
+function isEquationLink(context) {
+  return context.command === "\\href" && context.url.startsWith("#");
+}
+
+function equationLabels(tex) {
+  return Array.from(tex.matchAll(EQUATION_LABEL), (match) => match[1]);
+}
+
+function equationReferenceText(kind, label) {
+  const number = equationNumbers.get(label) ?? "??";
+  return kind === "eqref" ? `(${number})` : number;
+}
+
+function equationReferenceKey(tex) {
+  return Array.from(tex.matchAll(EQUATION_REFERENCE), (match) => `${match[0]}${equationReferenceText(match[1], match[2])}`).join(" ");
+}
+
+// KaTeX knows neither \label nor \eqref, so data-tex is rewritten for rendering
+// only: labels are dropped, references become in-page links and an automatic
+// number is appended as a \tag. The source itself is what gets saved.
+function mathRenderTex(tex, number) {
+  const rendered = tex
+    .replace(EQUATION_LABEL, "")
+    .replace(EQUATION_REFERENCE, (_, kind, label) => `\\href{#${label}}{${equationReferenceText(kind, label)}}`);
+  return number ? `${rendered}\\tag{${number}}` : rendered;
+}
+
+function createEquationReference(kind, label) {
+  const reference = document.createElement("a");
+  reference.className = "eq-ref";
+  reference.setAttribute("href", `#${label}`);
+  reference.setAttribute("contenteditable", "false");
+  reference.setAttribute("data-ref", label);
+  reference.setAttribute("data-ref-kind", kind);
+  reference.textContent = equationReferenceText(kind, label);
+  return reference;
+}
+
+// Display equations are numbered in document order. An explicit \tag keeps its
+// own text, \notag opts out, and with automatic numbering off only labelled
+// equations get a number.
+function updateEquationNumbers(root = editor) {
+  const numbers = new Map();
+  const assigned = new Map();
+  let count = 0;
+  root.querySelectorAll(".math-token[data-display='true']:not([data-preamble])").forEach((token) => {
+    const tex = token.getAttribute("data-tex") || "";
+    const labels = equationLabels(tex);
+    const tag = /\\tag\*?\{([^{}]*)\}/.exec(tex);
+    let number = null;
+    if (!tag && !/\\(?:notag|nonumber)(?![A-Za-z])/.test(tex) && (settings.equationNumbering || labels.length > 0)) {
+      count += 1;
+      number = String(count);
+    }
+    assigned.set(token, number);
+    labels.forEach((label) => numbers.set(label, tag ? tag[1] : number || "??"));
+  });
+  equationNumbers = numbers;
+
+  let changed = false;
+  root.querySelectorAll(".math-token").forEach((token) => {
+    const tex = token.getAttribute("data-tex") || "";
+    const number = assigned.get(token) || null;
+    if (token.getAttribute("data-number") === number && (renderedReferences.get(token) ?? "") === equationReferenceKey(tex)) {
+      return;
+    }
+
+    if (number) {
+      token.setAttribute("data-number", number);
+    } else {
+      token.removeAttribute("data-number");
+    }
+    renderMathToken(token);
+    changed = true;
+  });
+  root.querySelectorAll("a.eq-ref").forEach((reference) => {
+    const text = equationReferenceText(reference.getAttribute("data-ref-kind"), reference.getAttribute("data-ref"));
+    if (reference.textContent !== text) {
+      reference.textContent = text;
+      changed = true;
+    }
+  });
+
+  if (changed && root === editor) {
+    // Renumbering follows from the edit that caused it.
+    recordHistory("transparent");
+  }
+}
+
+function setEquationNumbering(enabled) {
+  settings.equationNumbering = enabled;
+  saveSettings();
+  const button = toolbar.querySelector("[data-action='equation-numbers']");
+  if (button) {
+    button.setAttribute("aria-pressed", enabled ? "true" : "false");
   }
+  updateEquationNumbers();
+}
 
-  const previousLast = previous.lastChild;
-  while (current.firstChild) {
-    previous.appendChild(current.firstChild);
+// A display block holding nothing but \newcommand, \renewcommand or \def
+// definitions is a macro preamble. Returns its macros in KaTeX's format, or
+// null for any other math.
+function parseMacroPreamble(tex) {
+  const macros = {};
+  const definition = /^\s*\\(?:(?:re)?newcommand\*?\s*(?:\{\s*(\\[A-Za-z]+)\s*\}|(\\[A-Za-z]+))\s*(?:\[\d\])?|[gex]?def\s*(\\[A-Za-z]+)\s*(?:#\d)*)\s*\{/;
+  let rest = tex.replace(/(^|[^\\])%[^\n]*/g, "$1");
+  while (rest.trim()) {
+    const match = definition.exec(rest);
+    const end = match ? closingBraceIndex(rest, match[0].length - 1) : -1;
+    if (end < 0) {
+      return null;
+    }
+    macros[match[1] || match[2] || match[3]] = rest.slice(match[0].length, end);
+    rest = rest.slice(end + 1);
   }
-  current.remove();
+  return Object.keys(macros).length > 0 ? macros : null;
+}
 
-  if (previousLast) {
-    const rangeAfter = document.createRange();
-    rangeAfter.setStartAfter(previousLast);
-    rangeAfter.collapse(true);
-    const selection = window.getSelection();
-    if (selection) {
-      selection.removeAllRanges();
-      selection.addRange(rangeAfter);
+function closingBraceIndex(text, openIndex) {
+  let depth = 0;
+  for (let index = openIndex; index < text.length; index += 1) {
+    if (text[index] === "\\") {
+      index += 1;
+    } else if (text[index] === "{") {
+      depth += 1;
+    } else if (text[index] === "}") {
+      depth -= 1;
+      if (depth === 0) {
+        return index;
+      }
     }
-  } else {
-    setCaretBeforeNode(previous.firstChild || previous);
   }
+  return -1;
+}
 
-  scheduleSave();
-  return true;
+function usesMacro(tex, name) {
+  for (let index = tex.indexOf(name); index >= 0; index = tex.indexOf(name, index + 1)) {
+    if (!/[A-Za-z]/.test(tex[index + name.length] || "")) {
+      return true;
+    }
+  }
+  return false;
 }
 
-function handleArrowAcrossMathToken(event) {
-  if (event.key !== "ArrowRight" && event.key !== "ArrowLeft") {
+// Preamble blocks apply to the whole document, wherever they sit, on top of
+// the user's global macros. Only tokens that use a changed macro, directly or
+// through another macro, are rendered again.
+function updateMathMacros() {
+  const macros = { ...userMacros };
+  editor.querySelectorAll(".math-token[data-preamble]").forEach((token) => {
+    Object.assign(macros, parseMacroPreamble(token.getAttribute("data-tex") || ""));
+  });
+
+  const changed = new Set(Object.keys({ ...macros, ...mathMacros }).filter((name) => macros[name] !== mathMacros[name]));
+  if (changed.size === 0) {
     return;
   }
 
-  const range = getCollapsedEditorRange();
-  if (!range) {
+  let grown = true;
+  while (grown) {
+    grown = false;
+    for (const [name, body] of Object.entries(macros)) {
+      if (!changed.has(name) && Array.from(changed).some((other) => usesMacro(body, other))) {
+        changed.add(name);
+        grown = true;
+      }
+    }
+  }
+
+  mathMacros = macros;
+  mathHtmlCache.clear();
+  let rendered = false;
+  editor.querySelectorAll(".math-token:not([data-preamble])").forEach((token) => {
+    const tex = token.getAttribute("data-tex") || "";
+    if (Array.from(changed).some((name) => usesMacro(tex, name))) {
+      renderMathToken(token);
+      rendered = true;
+    }
+  });
+
+  if (rendered) {
+    recordHistory("transparent");
+  }
+}
+
+function applyUserMacros(text) {
+  userMacroText = text;
+  userMacros = parseMacroPreamble(text) || {};
+  updateMathMacros();
+}
+
+async function editUserMacros() {
+  const values = await showFormDialog({
+    title: "Math macros",
+    confirmLabel: "Save",
+    fields: [
+      {
+        name: "macros",
+        label: "Macros for every document",
+        type: "textarea",
+        value: userMacroText,
+        hint: "\\newcommand, \\renewcommand or \\def definitions, e.g. \\newcommand{\\R}{\\mathbb{R}}"
+      }
+    ]
+  });
+  if (!values) {
     return;
   }
-  const direction = event.key === "ArrowRight" ? "next" : "prev";
-  const token = adjacentMathToken(range, direction);
-  if (!token) {
+
+  const text = values.macros.trim();
+  if (text && !parseMacroPreamble(text)) {
+    window.alert("Could not save the macros: only \\newcommand, \\renewcommand and \\def definitions are allowed.");
     return;
   }
 
-  event.preventDefault();
-  const fromSide = direction === "next" ? "from-left" : "from-right";
-  expandMathTokenForBoundaryEdit(token, fromSide);
+  try {
+    if (desktop) {
+      await desktop.writeUserMacros(text);
+    } else {
+      settings.userMacros = text;
+      saveSettings();
+    }
+  } catch (error) {
+    window.alert(`Could not save the macros: ${error.message}`);
+    return;
+  }
+  applyUserMacros(text);
 }
 
-function expandMathTokenWithOffset(token, offset) {
-  const { raw } = mathRawForToken(token);
-  const boundedOffset = Math.max(0, Math.min(offset, raw.length));
-  const textNode = document.createTextNode(raw);
-  token.replaceWith(textNode);
+function applyTheme() {
+  const theme = settings.theme === "system" ? (systemDarkQuery.matches ? "dark" : "light") : settings.theme;
+  document.documentElement.setAttribute("data-theme", theme === "dark" ? "dark" : "light");
+}
 
-  editor.focus();
-  setCaret(textNode, boundedOffset);
-  activeMathEdit = { textNode };
-  updateMathPreview();
-  scheduleSave();
-  return textNode;
+function applyTypography() {
+  const typography = { ...DEFAULT_SETTINGS.typography, ...settings.typography };
+  const style = document.documentElement.style;
+  if (typography.fontFamily) {
+    style.setProperty("--editor-font", typography.fontFamily);
+  } else {
+    style.removeProperty("--editor-font");
+  }
+  style.setProperty("--editor-font-size", `${typography.fontSize}px`);
+  style.setProperty("--editor-line-height", String(typography.lineHeight));
+  style.setProperty("--editor-width", `${typography.contentWidth}px`);
 }
 
-function expandMathTokenForBoundaryEdit(token, fromSide) {
-  const { raw, delimiterSize } = mathRawForToken(token);
-  const offset = fromSide === "from-left"
-    ? delimiterSize
-    : raw.length - delimiterSize;
-  return expandMathTokenWithOffset(token, offset);
+function clampSetting(value, min, max, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && value !== "" ? Math.min(max, Math.max(min, number)) : fallback;
 }
 
-function expandMathTokenForEdit(token, clickX) {
-  const { raw } = mathRawForToken(token);
+async function editAppearance() {
+  const typography = { ...DEFAULT_SETTINGS.typography, ...settings.typography };
+  const fields = [
+    {
+      name: "theme",
+      label: "Theme",
+      type: "select",
+      value: settings.theme,
+      options: Object.entries(THEMES).map(([value, label]) => ({ value, label }))
+    },
+    { name: "fontFamily", label: "Font", value: typography.fontFamily, hint: "A CSS font-family list, e.g. Georgia, serif; leave empty for the default" },
+    { name: "fontSize", label: "Font size (px)", type: "number", min: 10, max: 32, value: typography.fontSize },
+    { name: "lineHeight", label: "Line height", type: "number", min: 1, max: 3, step: 0.05, value: typography.lineHeight },
+    { name: "contentWidth", label: "Content width (px)", type: "number", min: 480, max: 2400, step: 10, value: typography.contentWidth },
+    {
+      name: "cssFile",
+      label: "Theme CSS",
+      type: "file",
+      accept: ".css,text/css",
+      hint: settings.userCssName
+        ? `Using ${settings.userCssName}; choose a file to replace it`
+        : "A stylesheet for the editor and the HTML and PDF exports"
+    }
+  ];
+  if (settings.userCss) {
+    fields.push({ name: "removeCss", label: `Remove ${settings.userCssName || "the theme CSS"}`, type: "checkbox", value: false });
+  }
 
-  const rect = token.getBoundingClientRect();
-  const ratio = rect.width > 0 ? Math.max(0, Math.min(1, (clickX - rect.left) / rect.width)) : 1;
-  const offset = Math.round(ratio * raw.length);
-  expandMathTokenWithOffset(token, offset);
+  const values = await showFormDialog({ title: "Appearance", confirmLabel: "Apply", fields });
+  if (!values) {
+    return;
+  }
+
+  let userCss = values.removeCss ? "" : settings.userCss;
+  let userCssName = values.removeCss ? "" : settings.userCssName;
+  if (values.cssFile) {
+    try {
+      userCss = await values.cssFile.text();
+    } catch (error) {
+      window.alert(`Could not load ${values.cssFile.name}: ${error.message}`);
+      return;
+    }
+    userCssName = values.cssFile.name;
+  }
+
+  const previous = { theme: settings.theme, typography: settings.typography, userCss: settings.userCss, userCssName: settings.userCssName };
+  Object.assign(settings, {
+    theme: values.theme in THEMES ? values.theme : "light",
+    typography: {
+      fontFamily: values.fontFamily.trim(),
+      fontSize: clampSetting(values.fontSize, 10, 32, typography.fontSize),
+      lineHeight: clampSetting(values.lineHeight, 1, 3, typography.lineHeight),
+      contentWidth: clampSetting(values.contentWidth, 480, 2400, typography.contentWidth)
+    },
+    userCss,
+    userCssName
+  });
+  // A theme CSS file can be too big for the browser's storage, and one that
+  // can't be kept would be gone on the next launch.
+  if (!saveSettings()) {
+    Object.assign(settings, previous);
+    window.alert("Could not save the appearance settings, so they are left as they were.");
+    return;
+  }
+  applyTheme();
+  applyTypography();
+  userThemeStyle.textContent = settings.userCss;
 }
 
-function finalizeMathEditIfNeeded() {
-  if (!activeMathEdit) {
-    return;
+function jumpToEquation(label) {
+  const token = Array.from(editor.querySelectorAll(".math-token"))
+    .find((candidate) => equationLabels(candidate.getAttribute("data-tex") || "").includes(label));
+  if (token) {
+    window.scrollBy(0, token.getBoundingClientRect().top - OUTLINE_ACTIVE_OFFSET / 2);
+  }
+}
+
+function createFootnoteReference(label) {
+  const reference = document.createElement("sup");
+  reference.className = "footnote-ref";
+  reference.setAttribute("contenteditable", "false");
+  reference.setAttribute("data-footnote", label);
+  return reference;
+}
+
+function createFootnoteDefinition(label) {
+  const definition = document.createElement("p");
+  definition.className = "footnote-def";
+  definition.setAttribute("data-footnote", label);
+  definition.appendChild(document.createElement("br"));
+  return definition;
+}
+
+function isFootnoteDefinition(node) {
+  return isFootnoteBlock(node) && node.tagName === "P";
+}
+
+// A definition is made of paragraphs and any other blocks, such as lists or
+// code, that carry its label.
+function isFootnoteBlock(node) {
+  return node instanceof HTMLElement && node.classList.contains("footnote-def");
+}
+
+// A block right after another of the same footnote continues it.
+function isFootnoteContinuation(definition) {
+  const previous = definition.previousElementSibling;
+  return isFootnoteBlock(previous) && previous.getAttribute("data-footnote") === definition.getAttribute("data-footnote");
+}
+
+function footnoteDefinition(label) {
+  return Array.from(editor.querySelectorAll(".footnote-def"))
+    .find((definition) => definition.getAttribute("data-footnote") === label) || null;
+}
+
+// Footnotes are numbered in the order they are first referred to. A definition
+// shows its number, or its label when nothing refers to it, and a reference
+// without a definition is marked.
+function updateFootnotes(root = editor) {
+  const numbers = new Map();
+  let changed = false;
+  const setAttribute = (element, name, value) => {
+    if (element.getAttribute(name) === value) {
+      return;
+    }
+    if (value === null) {
+      element.removeAttribute(name);
+    } else {
+      element.setAttribute(name, value);
+    }
+    changed = true;
+  };
+
+  const references = Array.from(root.querySelectorAll(".footnote-ref"));
+  references.forEach((reference) => {
+    const label = reference.getAttribute("data-footnote");
+    if (!numbers.has(label)) {
+      numbers.set(label, String(numbers.size + 1));
+    }
+    if (reference.textContent !== numbers.get(label)) {
+      reference.textContent = numbers.get(label);
+      changed = true;
+    }
+  });
+
+  const defined = new Set();
+  root.querySelectorAll(".footnote-def").forEach((definition) => {
+    const label = definition.getAttribute("data-footnote");
+    const continued = isFootnoteContinuation(definition);
+    setAttribute(definition, "data-continued", continued ? "true" : null);
+    setAttribute(definition, "data-number", continued ? null : numbers.get(label) || null);
+    defined.add(label);
+  });
+  references.forEach((reference) => {
+    setAttribute(reference, "data-missing", defined.has(reference.getAttribute("data-footnote")) ? null : "true");
+  });
+
+  if (changed && root === editor) {
+    recordHistory("transparent");
+  }
+}
+
+function nextFootnoteLabel() {
+  const used = new Set(Array.from(editor.querySelectorAll(".footnote-ref, .footnote-def"), (element) =>
+    element.getAttribute("data-footnote")));
+  let next = 1;
+  while (used.has(String(next))) {
+    next += 1;
+  }
+  return String(next);
+}
+
+// Puts a reference at the caret and an empty definition after the others at
+// the end of the document, and moves the caret there to write it.
+function insertFootnote() {
+  const range = getCollapsedEditorRange();
+  if (!range || sourceMode || selectedCodeBlock() || (range.startContainer.parentElement || range.startContainer).closest(".math-token")) {
+    return;
+  }
+
+  const label = nextFootnoteLabel();
+  const reference = createFootnoteReference(label);
+  range.insertNode(reference);
+  const definition = createFootnoteDefinition(label);
+  const definitions = editor.querySelectorAll(".footnote-def");
+  if (definitions.length) {
+    definitions[definitions.length - 1].after(definition);
+  } else {
+    editor.appendChild(definition);
+  }
+
+  updateFootnotes();
+  setCaretInsideBlock(definition);
+  definition.scrollIntoView({ block: "center" });
+  footnoteReturn = reference;
+  recordHistory("edit");
+  scheduleSave();
+}
+
+function jumpToFootnoteDefinition(reference) {
+  const definition = footnoteDefinition(reference.getAttribute("data-footnote"));
+  if (!definition) {
+    return;
+  }
+  footnoteReturn = reference;
+  hideFootnotePreview();
+  setCaretInsideBlock(definition);
+  window.scrollBy(0, definition.getBoundingClientRect().top - OUTLINE_ACTIVE_OFFSET / 2);
+}
+
+// Back to the reference the definition was reached from, or its first one.
+function jumpToFootnoteReference(definition) {
+  const label = definition.getAttribute("data-footnote");
+  const reference = footnoteReturn && footnoteReturn.isConnected && footnoteReturn.getAttribute("data-footnote") === label
+    ? footnoteReturn
+    : Array.from(editor.querySelectorAll(".footnote-ref")).find((candidate) => candidate.getAttribute("data-footnote") === label);
+  if (!reference) {
+    return;
+  }
+  setCaretAfterNode(reference);
+  window.scrollBy(0, reference.getBoundingClientRect().top - OUTLINE_ACTIVE_OFFSET);
+}
+
+// Enter in an empty continuation paragraph of a definition ends the footnote.
+function endFootnoteDefinition() {
+  const range = getCollapsedEditorRange();
+  const block = range ? nearestEditorChild(range.startContainer) : null;
+  if (!isFootnoteDefinition(block) || !isFootnoteContinuation(block) || block.textContent.trim() || block.querySelector("img, .math-token, .footnote-ref")) {
+    return false;
+  }
+
+  block.removeAttribute("class");
+  block.removeAttribute("data-footnote");
+  block.removeAttribute("data-continued");
+  setCaretInsideBlock(block);
+  recordHistory("edit");
+  scheduleSave();
+  return true;
+}
+
+function showFootnotePreview(reference) {
+  const label = reference.getAttribute("data-footnote");
+  const definitions = Array.from(editor.querySelectorAll(".footnote-def"))
+    .filter((definition) => definition.getAttribute("data-footnote") === label);
+  if (!definitions.length) {
+    footnotePreview.textContent = `No definition for [^${label}]`;
+  } else {
+    footnotePreview.replaceChildren(...definitions.map((definition) => {
+      const block = document.createElement(definition.tagName);
+      block.innerHTML = definition.innerHTML;
+      block.querySelectorAll("[contenteditable]").forEach((element) => element.removeAttribute("contenteditable"));
+      return block;
+    }));
+  }
+
+  footnotePreview.hidden = false;
+  const rect = reference.getBoundingClientRect();
+  const width = footnotePreview.offsetWidth || 320;
+  const height = footnotePreview.offsetHeight || 80;
+  const left = Math.max(8, Math.min(rect.left - 12, window.innerWidth - width - 8));
+  let top = rect.bottom + 8;
+  if (top + height > window.innerHeight - 8) {
+    top = Math.max(8, rect.top - height - 8);
+  }
+  footnotePreview.style.left = `${left}px`;
+  footnotePreview.style.top = `${top}px`;
+}
+
+function hideFootnotePreview() {
+  footnotePreview.hidden = true;
+}
+
+function currentSelectionTextNode() {
+  const sel = window.getSelection();
+  if (!sel || sel.rangeCount === 0) {
+    return null;
+  }
+
+  const anchor = sel.anchorNode;
+  if (!anchor) {
+    return null;
+  }
+
+  return anchor.nodeType === Node.TEXT_NODE ? anchor : anchor.firstChild;
+}
+
+function editorBlockOf(node) {
+  let current = node;
+  while (current && current.parentNode !== editor) {
+    current = current.parentNode;
+  }
+  return current;
+}
+
+// Remembers which top-level blocks changed since the last look, so that the
+// math pass rescans and the save reserializes only those.
+function trackEditorMutations(records, forMathPass = true) {
+  for (const record of records) {
+    const blocks = record.target === editor ? Array.from(record.addedNodes) : [editorBlockOf(record.target)];
+    for (const block of blocks) {
+      if (block) {
+        blockHtmlCache.delete(block);
+        blockMarkdownCache.delete(block);
+        if (forMathPass) {
+          mathDirtyBlocks.add(block);
+        }
+      }
+    }
+  }
+  if (records.length > 0) {
+    editorHtmlChanged = true;
+  }
+}
+
+// Same as editor.innerHTML, reusing the markup of blocks that haven't changed.
+function editorHtml() {
+  return editorBlocksHtml().join("");
+}
+
+// The markup of each of the editor's child nodes. A block that hasn't changed
+// gives the same string each time, so copies of this list are cheap to keep.
+function editorBlocksHtml() {
+  trackEditorMutations(editorObserver.takeRecords());
+  return Array.from(editor.childNodes, (node) => {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      if (!blockHtmlCache.has(node)) {
+        blockHtmlCache.set(node, node.outerHTML);
+      }
+      return blockHtmlCache.get(node);
+    }
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escapeCodeHtml(node.nodeValue || "").replace(/\u00a0/g, "&nbsp;");
+    }
+    return node.nodeType === Node.COMMENT_NODE ? `<!--${node.nodeValue}-->` : "";
+  });
+}
+
+function storeEditorHtml() {
+  trackEditorMutations(editorObserver.takeRecords());
+  if (editorHtmlChanged && storeLocally(STORAGE_KEY, editorHtml())) {
+    editorHtmlChanged = false;
+  }
+}
+
+function mathTextNodes(block) {
+  if (block.nodeType === Node.TEXT_NODE) {
+    return [block];
+  }
+
+  const nodes = [];
+  const walker = document.createTreeWalker(block, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    nodes.push(walker.currentNode);
+  }
+  return nodes;
+}
+
+// Math delimited the way Pandoc's tex_math_dollars and
+// tex_math_single_backslash read it: $$…$$ and \[…\] for display, $…$ and
+// \(…\) inline. An inline $ opens only before a non-space, and the next
+// unescaped $ closes it only after a non-space and not before a digit, so
+// "$5 and $10" stays text. Math never spans a blank line.
+function mathSpanAt(text, start) {
+  const open = text.startsWith("$$", start) ? "$$" : text.slice(start, start + (text[start] === "$" ? 1 : 2));
+  const close = MATH_DELIMITERS[open];
+  if (!close) {
+    return null;
+  }
+
+  const contentStart = start + open.length;
+  if (open === "$" && /^\s?$/.test(text.charAt(contentStart))) {
+    return null;
+  }
+
+  for (let index = contentStart; index < text.length; index += 1) {
+    if (text.startsWith(close, index)) {
+      const tex = text.slice(contentStart, index).trim();
+      const closes = open !== "$" || (!/\s/.test(text[index - 1]) && !/\d/.test(text.charAt(index + 1)));
+      if (!closes || !tex) {
+        return null;
+      }
+      return { start, end: index + close.length, contentStart, contentEnd: index, tex, display: open === "$$" || open === "\\[", open };
+    }
+    if (text[index] === "\\") {
+      index += 1;
+    } else if (text[index] === "\n") {
+      MATH_BLANK_LINE.lastIndex = index;
+      if (MATH_BLANK_LINE.test(text)) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function findMathSpans(text) {
+  const spans = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    const span = char === "$" || char === "\\" ? mathSpanAt(text, index) : null;
+    if (span) {
+      spans.push(span);
+      index = span.end;
+    } else {
+      index += char === "\\" ? 2 : char === "$" && text[index + 1] === "$" ? 2 : 1;
+    }
+  }
+  return spans;
+}
+
+function runMathPass(aggressive) {
+  const startedAt = performance.now();
+  trackEditorMutations(editorObserver.takeRecords());
+  const activeTextNode = aggressive ? null : currentSelectionTextNode();
+  const blocks = Array.from(mathDirtyBlocks);
+  const toReplace = [];
+  mathDirtyBlocks.clear();
+
+  for (const block of blocks) {
+    if (block.parentNode !== editor) {
+      continue;
+    }
+
+    for (const node of mathTextNodes(block)) {
+      const parent = node.parentElement;
+      if (!parent) {
+        continue;
+      }
+
+      if (parent.closest(".math-token, code, pre, script, style")) {
+        continue;
+      }
+
+      if (!aggressive && activeTextNode && node === activeTextNode) {
+        // Still unconverted, so the next pass has to look again.
+        mathDirtyBlocks.add(block);
+        continue;
+      }
+
+      const text = node.nodeValue || "";
+      if (!/[$\\]/.test(text) || findMathSpans(text).length === 0) {
+        continue;
+      }
+
+      toReplace.push(node);
+    }
+  }
+
+  for (const node of toReplace) {
+    const value = node.nodeValue || "";
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+
+    for (const span of findMathSpans(value)) {
+      if (span.start > last) {
+        fragment.appendChild(document.createTextNode(value.slice(last, span.start)));
+      }
+      fragment.appendChild(createMathToken(span.tex, span.display, span.open));
+      last = span.end;
+    }
+
+    if (last < value.length) {
+      fragment.appendChild(document.createTextNode(value.slice(last)));
+    }
+
+    node.replaceWith(fragment);
+  }
+  // The tokens just inserted need no second look.
+  trackEditorMutations(editorObserver.takeRecords(), false);
+
+  latencyEl.textContent = `Math pass: ${(performance.now() - startedAt).toFixed(1)} ms`;
+  if (activeMathEdit && !editor.contains(activeMathEdit.textNode)) {
+    activeMathEdit = null;
+  }
+  if (toReplace.length) {
+    recordHistory("transparent");
+  }
+  scheduleSave();
+  updateMathPreview();
+}
+
+function insertMathByPrompt() {
+  const tex = window.prompt("LaTeX expression (without delimiters):", "x^2 + y^2 = z^2");
+  if (tex == null) {
+    return;
+  }
+
+  const isBlock = window.confirm("Render as block math?\nOK = block ($$...$$), Cancel = inline ($...$)");
+  const raw = isBlock ? `$$${tex}$$` : `$${tex}$`;
+
+  document.execCommand("insertText", false, raw);
+  scheduleMathPass(true);
+}
+
+function applyHeading(level) {
+  document.execCommand("formatBlock", false, level === 1 ? "h1" : "h2");
+}
+
+function markdownMathPlugin(markdown) {
+  markdown.inline.ruler.before("escape", "math", (state, silent) => {
+    const span = mathSpanAt(state.src, state.pos);
+    if (!span) {
+      return false;
+    }
+
+    if (!silent) {
+      const token = state.push("math", "", 0);
+      token.content = span.tex;
+      token.meta = { display: span.display, open: span.open };
+    }
+    state.pos = span.end;
+    return true;
+  });
+
+  markdown.inline.ruler.before("escape", "equation_ref", (state, silent) => {
+    if (state.src.charCodeAt(state.pos) !== 0x5c) {
+      return false;
+    }
+
+    const match = /^\\(eqref|ref)\{([^{}\s%#\\]+)\}/.exec(state.src.slice(state.pos));
+    if (!match) {
+      return false;
+    }
+
+    if (!silent) {
+      const token = state.push("equation_ref", "", 0);
+      token.meta = { kind: match[1], label: match[2] };
+    }
+    state.pos += match[0].length;
+    return true;
+  });
+
+  // A dollar that isn't math, escaped or not, and an escaped backslash keep an
+  // element of their own. The math pass reads one text node at a time, so it
+  // can't pair them up once the escapes are gone.
+  markdown.inline.ruler.before("escape", "literal_math_char", (state, silent) => {
+    const match = /^\\?\$|^\\\\/.exec(state.src.slice(state.pos, state.pos + 2));
+    if (!match) {
+      return false;
+    }
+
+    if (!silent) {
+      const token = state.push("literal_math_char", "", 0);
+      token.content = match[0].slice(-1);
+    }
+    state.pos += match[0].length;
+    return true;
+  });
+
+  markdown.block.ruler.before("fence", "math_block", (state, startLine, endLine, silent) => {
+    if (state.sCount[startLine] - state.blkIndent >= 4) {
+      return false;
+    }
+
+    const start = state.bMarks[startLine] + state.tShift[startLine];
+    const firstLine = state.src.slice(start, state.eMarks[startLine]);
+    const open = ["$$", "\\["].find((delimiter) => firstLine.startsWith(delimiter));
+    const close = MATH_DELIMITERS[open];
+    if (!open || firstLine.slice(2).includes(close)) {
+      return false;
+    }
+
+    let closeLine = startLine + 1;
+    let closing = null;
+    for (; closeLine < endLine; closeLine += 1) {
+      const line = state.src.slice(state.bMarks[closeLine] + state.tShift[closeLine], state.eMarks[closeLine]);
+      if (line.trimEnd().endsWith(close)) {
+        closing = line.trimEnd().slice(0, -2);
+        break;
+      }
+    }
+
+    if (closing === null) {
+      return false;
+    }
+
+    if (silent) {
+      return true;
+    }
+
+    const body = state.getLines(startLine + 1, closeLine, state.blkIndent, false);
+    const token = state.push("math_block", "", 0);
+    token.content = `${firstLine.slice(2)}\n${body}${closing}`.trim();
+    token.meta = { open };
+    token.map = [startLine, closeLine + 1];
+    token.block = true;
+    state.line = closeLine + 1;
+    return true;
+  }, { alt: ["paragraph", "reference", "blockquote", "list"] });
+
+  markdown.renderer.rules.fence = (tokens, idx) => {
+    const token = tokens[idx];
+    const block = createCodeBlock(token.content.replace(/\n$/, ""), token.info, token.markup);
+    (token.attrs || []).forEach(([name, value]) => block.setAttribute(name, value));
+    return `${block.outerHTML}\n`;
+  };
+  // Math is rendered once the HTML has been sanitized; see renderMarkdown.
+  markdown.renderer.rules.math = (tokens, idx) =>
+    mathTokenElement(tokens[idx].content, tokens[idx].meta.display, tokens[idx].meta.open).outerHTML;
+  markdown.renderer.rules.math_block = (tokens, idx, _options, _env, renderer) =>
+    `<p${renderer.renderAttrs(tokens[idx])}>${mathTokenElement(tokens[idx].content, true, tokens[idx].meta.open).outerHTML}</p>\n`;
+  markdown.renderer.rules.equation_ref = (tokens, idx) =>
+    createEquationReference(tokens[idx].meta.kind, tokens[idx].meta.label).outerHTML;
+  markdown.renderer.rules.literal_math_char = (tokens, idx) =>
+    `<span class="literal-char">${tokens[idx].content}</span>`;
+}
+
+// A paragraph holding only [TOC] becomes a table of contents block that
+// updateOutline fills in from the document's headings.
+function markdownTocPlugin(markdown) {
+  markdown.core.ruler.after("block", "toc", (state) => {
+    const { tokens } = state;
+    for (let index = 0; index + 2 < tokens.length; index += 1) {
+      const [open, inline, close] = tokens.slice(index, index + 3);
+      if (
+        open.type === "paragraph_open" &&
+        open.level === 0 &&
+        inline.type === "inline" &&
+        inline.content.trim() === "[TOC]" &&
+        close.type === "paragraph_close"
+      ) {
+        const token = new state.Token("toc", "", 0);
+        token.block = true;
+        token.map = open.map;
+        tokens.splice(index, 3, token);
+      }
+    }
+  });
+
+  markdown.renderer.rules.toc = () => `${createTocBlock().outerHTML}\n`;
+}
+
+// A list item whose text starts with [ ] or [x] becomes a task with a
+// checkbox in place of the marker.
+function markdownTaskListPlugin(markdown) {
+  markdown.core.ruler.push("task_list", (state) => {
+    const { tokens } = state;
+    tokens.forEach((token, index) => {
+      if (token.type !== "inline" || index < 2 || tokens[index - 2].type !== "list_item_open") {
+        return;
+      }
+      const first = token.children[0];
+      const match = first && first.type === "text" ? TASK_MARKER.exec(first.content) : null;
+      if (!match) {
+        return;
+      }
+      first.content = first.content.slice(match[0].length);
+      const checkbox = new state.Token("task_checkbox", "", 0);
+      checkbox.meta = { checked: match[1] !== " " };
+      token.children.unshift(checkbox);
+    });
+  });
+
+  markdown.renderer.rules.task_checkbox = (tokens, idx) => createTaskCheckbox(tokens[idx].meta.checked).outerHTML;
+}
+
+// markdown-it-footnote parses references and definitions; they render as the
+// editor's own markup instead of its numbered list. References keep their
+// label, inline ^[…] notes get a free number as one, and each paragraph of a
+// definition becomes a footnote-def paragraph at the end of the document.
+// Its other blocks follow with the same class and label, and a definition
+// that starts with one of them gets an empty first paragraph. Definitions
+// nothing refers to are kept too.
+function markdownFootnotePlugin(markdown) {
+  markdown.use(markdownitFootnote);
+
+  markdown.core.ruler.before("footnote_tail", "footnote_labels", (state) => {
+    const footnotes = state.env.footnotes;
+    if (!footnotes) {
+      return;
+    }
+    footnotes.refs = footnotes.refs || {};
+    footnotes.list = footnotes.list || [];
+    Object.keys(footnotes.refs).forEach((key) => {
+      if (footnotes.refs[key] < 0) {
+        footnotes.refs[key] = footnotes.list.length;
+        footnotes.list.push({ label: key.slice(1), count: 0 });
+      }
+    });
+    let next = 1;
+    footnotes.list.forEach((note) => {
+      while (!note.label) {
+        if (!(`:${next}` in footnotes.refs)) {
+          note.label = String(next);
+          footnotes.refs[`:${next}`] = -2;
+        }
+        next += 1;
+      }
+    });
+  });
+
+  markdown.core.ruler.after("footnote_tail", "footnote_definitions", (state) => {
+    const tokens = [];
+    let label = null;
+    let level = null;
+    let start = 0;
+    state.tokens.forEach((token) => {
+      if (token.type === "footnote_open") {
+        label = token.meta.label;
+        level = null;
+        start = tokens.length;
+      } else if (token.type === "footnote_close") {
+        if (tokens[start]?.type !== "footnote_paragraph_open") {
+          const open = new state.Token("footnote_paragraph_open", "p", 1);
+          open.meta = { label };
+          tokens.splice(start, 0, open, new state.Token("footnote_paragraph_close", "p", -1));
+        }
+        label = null;
+      } else if (/^footnote_(block_open|block_close|anchor)$/.test(token.type)) {
+        return;
+      } else if (label !== null && (level ?? token.level) === token.level) {
+        level = token.level;
+        if (token.type === "paragraph_open") {
+          token.type = "footnote_paragraph_open";
+          token.meta = { label };
+        } else if (token.type === "paragraph_close") {
+          token.type = "footnote_paragraph_close";
+        } else if (token.nesting >= 0) {
+          token.attrJoin("class", "footnote-def");
+          token.attrSet("data-footnote", label);
+        }
+        tokens.push(token);
+      } else {
+        tokens.push(token);
+      }
+    });
+    state.tokens = tokens;
+  });
+
+  markdown.renderer.rules.footnote_ref = (tokens, idx, _options, env) =>
+    createFootnoteReference(env.footnotes.list[tokens[idx].meta.id].label).outerHTML;
+  markdown.renderer.rules.footnote_paragraph_open = (tokens, idx) =>
+    `<p class="footnote-def" data-footnote="${markdown.utils.escapeHtml(tokens[idx].meta.label)}">`;
+  markdown.renderer.rules.footnote_paragraph_close = (tokens, idx) =>
+    tokens[idx - 1].type === "footnote_paragraph_open" ? "<br></p>\n" : "</p>\n";
+}
+
+// Raw HTML in markdown keeps its markup but nothing that runs script or pulls
+// in styles. Math tokens are emptied too: only the TeX is kept, and KaTeX
+// renders it afresh.
+function sanitizeImportedHtml(html) {
+  const wrapper = document.createElement("div");
+  wrapper.innerHTML = html;
+  wrapper.querySelectorAll("script, iframe, frame, frameset, object, embed, svg, math, style, link, meta, base")
+    .forEach((el) => el.remove());
+  wrapper.querySelectorAll(".math-token").forEach((token) => token.replaceChildren());
+  removeUnsafeAttributes(wrapper);
+  return wrapper.innerHTML;
+}
+
+// Event handlers, and links or sources that would run script.
+function removeUnsafeAttributes(root) {
+  root.querySelectorAll("*").forEach((element) => {
+    for (const { name, value } of Array.from(element.attributes)) {
+      const unsafe = name.startsWith("on")
+        || (["href", "xlink:href", "action", "formaction"].includes(name) && !isSafeLinkUrl(value))
+        || (["src", "srcset", "poster"].includes(name) && SCRIPT_URL.test(value.replace(/[\u0000-\u0020]/g, "")));
+      if (unsafe) {
+        element.removeAttribute(name);
+      }
+    }
+  });
+}
+
+function renderMarkdown(text) {
+  const { yaml, close, body } = splitFrontMatter(text);
+  const wrapper = document.createElement("div");
+  wrapper.innerHTML = sanitizeImportedHtml(md.render(body));
+  wrapper.querySelectorAll(".math-token").forEach(renderMathToken);
+  resolveImageSources(wrapper);
+  if (yaml !== null) {
+    wrapper.prepend(createFrontMatterBlock(yaml, close));
+  }
+  return wrapper.innerHTML;
+}
+
+// The editor's blocks are converted one at a time so that a block's markdown
+// can be kept until it changes. A footnote's blocks depend on the ones before
+// them, so each run of them is converted again together.
+function editorMarkdown() {
+  trackEditorMutations(editorObserver.takeRecords());
+  const blocks = Array.from(editor.childNodes).filter(
+    (node) => node.nodeType !== Node.COMMENT_NODE && !(node.nodeType === Node.TEXT_NODE && !node.nodeValue.trim())
+  );
+  if (blocks.some((node) => node.nodeType !== Node.ELEMENT_NODE || !MARKDOWN_BLOCK_TAG.test(node.tagName))) {
+    return serializeMarkdownFrom(editor);
+  }
+
+  const frontMatter = frontMatterBlock(editor);
+  const parts = [];
+  let footnotes = null;
+  for (const block of blocks) {
+    if (block === frontMatter) {
+      continue;
+    }
+    if (isFootnoteBlock(block)) {
+      if (!footnotes) {
+        footnotes = document.createElement("div");
+        parts.push(footnotes);
+      }
+      footnotes.appendChild(block.cloneNode(true));
+      continue;
+    }
+
+    footnotes = null;
+    if (!blockMarkdownCache.has(block)) {
+      const wrapper = document.createElement("div");
+      wrapper.appendChild(block.cloneNode(true));
+      blockMarkdownCache.set(block, turndown.turndown(wrapper));
+    }
+    parts.push(blockMarkdownCache.get(block));
+  }
+
+  const body = parts
+    .map((part) => (typeof part === "string" ? part : turndown.turndown(part)))
+    .filter(Boolean)
+    .join("\n\n");
+  if (!frontMatter) {
+    return body.trimEnd() + "\n";
+  }
+
+  const yaml = codeBlockText(frontMatter.querySelector("pre"));
+  const head = `---\n${yaml ? `${yaml}\n` : ""}${frontMatter.getAttribute("data-close") || "---"}`;
+  return `${head}\n${body.trim() ? `\n${body.trim()}\n` : ""}`;
+}
+
+// Front matter is written back exactly as it was typed, above the rest.
+function serializeMarkdownFrom(root) {
+  const clone = root.cloneNode(true);
+  const frontMatter = frontMatterBlock(clone);
+  if (!frontMatter) {
+    return turndown.turndown(clone).trimEnd() + "\n";
+  }
+
+  frontMatter.remove();
+  const yaml = codeBlockText(frontMatter.querySelector("pre"));
+  const body = turndown.turndown(clone).trim();
+  const head = `---\n${yaml ? `${yaml}\n` : ""}${frontMatter.getAttribute("data-close") || "---"}`;
+  return `${head}\n${body ? `\n${body}\n` : ""}`;
+}
+
+function serializeMarkdown() {
+  return sourceMode ? sourceEditor.value : editorMarkdown();
+}
+
+function loadMarkdownDocument(text, filePath) {
+  currentFilePath = filePath;
+  editor.innerHTML = renderMarkdown(text);
+  activeMathEdit = null;
+  runMathPass(true);
+  updateOutline();
+  updateMathMacros();
+  updateEquationNumbers();
+  updateFootnotes();
+  updateFrontMatter();
+  updateProblems();
+  resetHistory();
+  if (sourceMode) {
+    sourceEditor.value = text;
+    resizeSourceEditor();
+    updateSourceWarnings();
+  }
+  if (!findBar.hidden) {
+    runFind();
+  }
+  markDocumentClean(serializeMarkdown());
+}
+
+function downloadFile(content, name, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement("a");
+  anchor.href = url;
+  anchor.download = name;
+  anchor.click();
+  URL.revokeObjectURL(url);
+}
+
+function exportMarkdown() {
+  const markdown = serializeMarkdown();
+  downloadFile(markdown, `${exportBaseName()}.md`, "text/markdown;charset=utf-8");
+  markDocumentClean(markdown);
+}
+
+function exportBaseName() {
+  if (currentFilePath) {
+    return pathBaseName(currentFilePath).replace(/\.[^.]+$/, "");
+  }
+  const title = frontMatterTitle(serializeMarkdown());
+  return title ? safeFileBase(title) : "document";
+}
+
+function exportDefaultPath(extension) {
+  return currentFilePath
+    ? `${currentFilePath.replace(/\.[^./\\]+$/, "")}.${extension}`
+    : `${exportBaseName()}.${extension}`;
+}
+
+// The export shows the same rendered math and highlighted code as the editor,
+// minus everything that only exists for editing.
+function exportBodyHtml({ relativeImages }) {
+  if (!sourceMode && activeMathEdit) {
+    activeMathEdit = null;
+    runMathPass(true);
+  }
+
+  // The editor isn't kept up to date in source mode, so the source is rendered
+  // for the export instead.
+  const root = document.createElement("div");
+  if (sourceMode) {
+    root.innerHTML = renderMarkdown(sourceEditor.value);
+    updateEquationNumbers(root);
+    updateFootnotes(root);
+  } else {
+    root.innerHTML = editorHtml();
+  }
+  const frontMatter = frontMatterBlock(root);
+  if (frontMatter) {
+    frontMatter.remove();
+  }
+  removeUnsafeAttributes(root);
+  root.querySelectorAll("[contenteditable]").forEach((element) => element.removeAttribute("contenteditable"));
+  root.querySelectorAll(".task-checkbox").forEach((checkbox) => checkbox.setAttribute("disabled", ""));
+  const linked = new Set();
+  root.querySelectorAll(".footnote-ref").forEach((reference) => {
+    const label = reference.getAttribute("data-footnote");
+    const link = document.createElement("a");
+    link.href = `#fn-${label}`;
+    link.textContent = reference.textContent;
+    if (!linked.has(label)) {
+      reference.id = `fnref-${label}`;
+      linked.add(label);
+    }
+    reference.replaceChildren(link);
+  });
+  let numbered = false;
+  root.querySelectorAll(".footnote-def").forEach((definition) => {
+    const label = definition.getAttribute("data-footnote");
+    if (!isFootnoteContinuation(definition)) {
+      definition.id = `fn-${label}`;
+      numbered = definition.hasAttribute("data-number");
+    }
+    definition.removeAttribute("data-continued");
+    const next = definition.nextElementSibling;
+    if (numbered && !(isFootnoteBlock(next) && isFootnoteContinuation(next))) {
+      const back = document.createElement("a");
+      back.className = "footnote-backref";
+      back.href = `#fnref-${label}`;
+      back.textContent = "↩";
+      if (isFootnoteDefinition(definition)) {
+        definition.append(" ", back);
+      } else {
+        const paragraph = document.createElement("p");
+        paragraph.className = "footnote-def";
+        paragraph.appendChild(back);
+        definition.after(paragraph);
+      }
+    }
+  });
+  root.querySelectorAll(".math-token[data-error]").forEach((token) => {
+    token.removeAttribute("data-error");
+    token.removeAttribute("data-error-position");
+    token.removeAttribute("title");
+  });
+  root.querySelectorAll("pre").forEach((pre) => {
+    pre.removeAttribute("data-fence");
+    pre.removeAttribute("data-info");
+  });
+  root.querySelectorAll("img[data-src]").forEach((image) => {
+    if (relativeImages) {
+      image.setAttribute("src", image.getAttribute("data-src"));
+    }
+    image.removeAttribute("data-src");
+  });
+
+  root.querySelectorAll(".math-token[data-preamble]").forEach((token) => {
+    const paragraph = token.parentElement;
+    token.remove();
+    if (paragraph && paragraph !== root && !paragraph.textContent.trim() && !paragraph.querySelector("img, .math-token")) {
+      paragraph.remove();
+    }
+  });
+  root.querySelectorAll(".math-token[data-display='true']").forEach((token) => {
+    const [label] = equationLabels(token.getAttribute("data-tex") || "");
+    if (label) {
+      token.id = label;
+    }
+  });
+
+  const used = new Set();
+  const headings = Array.from(root.children).filter((child) => /^H[1-6]$/.test(child.tagName));
+  headings.forEach((heading) => {
+    heading.id = slugifyHeading(headingText(heading), used);
+  });
+  root.querySelectorAll("nav[data-toc]").forEach((toc) => {
+    const list = document.createElement("ul");
+    headings.forEach((heading) => {
+      const item = document.createElement("li");
+      item.setAttribute("data-level", String(headingLevel(heading)));
+      const link = document.createElement("a");
+      link.href = `#${heading.id}`;
+      link.textContent = headingText(heading);
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    toc.replaceChildren(list);
+  });
+  return root.innerHTML;
+}
+
+async function buildExportDocument({ relativeImages, theme = "default", pageCss = "" }) {
+  const katexLink = document.querySelector("link[href*='katex']");
+  const katexHref = katexLink ? katexLink.href : "https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.css";
+  let katexCss = null;
+  try {
+    katexCss = await inlineKatexStyles(katexHref);
+  } catch (error) {
+    if (!window.confirm(`KaTeX styles could not be embedded (${error.message}).\n\nExport anyway with a link to them? Math will only render with an internet connection.`)) {
+      return null;
+    }
+  }
+
+  return exportDocumentHtml({
+    title: exportBaseName(),
+    body: exportBodyHtml({ relativeImages }),
+    katexCss,
+    katexHref,
+    theme,
+    extraCss: [settings.userCss, pageCss].filter(Boolean).join("\n")
+  });
+}
+
+async function exportHtml() {
+  const html = await buildExportDocument({ relativeImages: true });
+  if (!html) {
+    return;
+  }
+
+  if (!desktop) {
+    downloadFile(html, `${exportBaseName()}.html`, "text/html;charset=utf-8");
+    return;
+  }
+
+  try {
+    await desktop.exportHtml(exportDefaultPath("html"), html);
+  } catch (error) {
+    window.alert(`Could not export HTML: ${error.message}`);
+  }
+}
+
+async function exportPdf() {
+  const defaults = { ...DEFAULT_SETTINGS.pdfExport, ...settings.pdfExport };
+  const values = await showFormDialog({
+    title: "Export PDF",
+    confirmLabel: "Export",
+    fields: [
+      {
+        name: "pageSize",
+        label: "Page size",
+        type: "select",
+        value: defaults.pageSize,
+        options: ["A4", "Letter", "Legal", "A3", "A5"].map((size) => ({ value: size, label: size }))
+      },
+      { name: "landscape", label: "Landscape", type: "checkbox", value: defaults.landscape },
+      { name: "marginMm", label: "Margin (mm)", type: "number", min: 0, max: 60, value: defaults.marginMm },
+      {
+        name: "theme",
+        label: "Theme",
+        type: "select",
+        value: defaults.theme,
+        options: Object.entries(EXPORT_THEMES).map(([value, theme]) => ({ value, label: theme.label }))
+      },
+      {
+        name: "header",
+        label: "Header",
+        value: defaults.header,
+        hint: desktop ? "Printed at the top of every page; leave empty for none" : "Headers and footers are set in the browser's print dialog"
+      },
+      { name: "pageNumbers", label: "Page numbers in the footer", type: "checkbox", value: defaults.pageNumbers }
+    ]
+  });
+  if (!values) {
+    return;
+  }
+
+  const options = {
+    ...values,
+    marginMm: Math.min(60, Math.max(0, Number(values.marginMm) || 0))
+  };
+  settings.pdfExport = options;
+  saveSettings();
+
+  const pageCss = `@page { size: ${options.pageSize} ${options.landscape ? "landscape" : "portrait"}; margin: ${options.marginMm}mm; }`;
+  const html = await buildExportDocument({ relativeImages: false, theme: options.theme, pageCss });
+  if (!html) {
+    return;
+  }
+
+  if (!desktop) {
+    const view = window.open("", "_blank");
+    if (!view) {
+      window.alert("Allow pop-ups for this page to print the document to PDF.");
+      return;
+    }
+    view.document.open();
+    view.document.write(html);
+    view.document.close();
+    view.document.fonts.ready.then(() => view.print());
+    return;
+  }
+
+  try {
+    await desktop.exportPdf(exportDefaultPath("pdf"), html, options);
+  } catch (error) {
+    window.alert(`Could not export PDF: ${error.message}`);
+  }
+}
+
+async function saveDocument({ saveAs = false } = {}) {
+  if (!desktop) {
+    exportMarkdown();
+    return true;
+  }
+
+  const markdown = serializeMarkdown();
+  let result;
+  try {
+    result = saveAs || !currentFilePath
+      ? await desktop.saveFileAs(currentFilePath || "Untitled.md", markdown)
+      : await desktop.saveFile(currentFilePath, markdown);
+  } catch (error) {
+    window.alert(`Could not save ${documentDisplayName()}: ${error.message}`);
+    return false;
+  }
+
+  if (!result) {
+    return false;
+  }
+
+  if (result.filePath !== currentFilePath) {
+    currentFilePath = result.filePath;
+    resolveImageSources(editor);
+    if (workspaceFolder && isInsidePath(currentFilePath, workspaceFolder)) {
+      refreshFileTree();
+    }
+  }
+  markDocumentClean(markdown);
+  return true;
+}
+
+async function openDocument() {
+  if (!desktop) {
+    importInput.click();
+    return;
+  }
+
+  let result;
+  try {
+    result = await desktop.openFile();
+  } catch (error) {
+    window.alert(`Could not open file: ${error.message}`);
+    return;
+  }
+
+  if (result) {
+    await openFileInTab(result.filePath, result.content);
+  }
+}
+
+async function runDocumentCommand(command) {
+  if (command === "new" && desktop) {
+    newDocumentTab();
+    return;
+  }
+
+  if (command === "open") {
+    await openDocument();
+    return;
+  }
+
+  if (command === "open-folder" && desktop) {
+    await openWorkspaceFolder();
+    return;
+  }
+
+  if (command === "close-tab" && desktop) {
+    await closeDocumentTab();
+    return;
+  }
+
+  if (command === "save") {
+    await saveDocument();
+    return;
+  }
+
+  if (command === "save-as") {
+    await saveDocument({ saveAs: true });
+    return;
+  }
+
+  if (command === "image-folder") {
+    await configureImageFolder();
+    return;
+  }
+
+  if (command === "math-macros") {
+    await editUserMacros();
+    return;
+  }
+
+  if (command === "appearance") {
+    await editAppearance();
+    return;
+  }
+
+  if (command === "link") {
+    openLinkPopover();
+    return;
+  }
+
+  if (command === "footnote") {
+    insertFootnote();
+    return;
+  }
+
+  if (command === "toggle-source-mode") {
+    toggleSourceMode();
+    return;
+  }
+
+  if (command === "export-html") {
+    await exportHtml();
+    return;
+  }
+
+  if (command === "export-pdf") {
+    await exportPdf();
+    return;
+  }
+
+  if (command === "find" || command === "replace") {
+    openFindBar(command === "replace");
+    return;
+  }
+
+  if (command === "toggle-outline") {
+    setOutlineVisible(outline.hidden);
+    return;
+  }
+
+  if (command === "toggle-problems") {
+    setProblemsVisible(problems.hidden);
+    return;
+  }
+
+  if (command === "toggle-history") {
+    setHistoryVisible(historyPanel.hidden);
+    return;
+  }
+
+  if (command === "checkpoint") {
+    await saveCheckpoint();
+    return;
+  }
+
+  if (command === "toggle-equation-numbers") {
+    setEquationNumbering(!settings.equationNumbering);
+    return;
+  }
+
+  if (command === "toggle-focus-mode") {
+    setFocusMode(!settings.focusMode);
+    return;
+  }
+
+  if (command === "toggle-typewriter-mode") {
+    setTypewriterMode(!settings.typewriterMode);
+    return;
+  }
+
+  if (command === "toggle-distraction-free") {
+    setDistractionFree(!isDistractionFree());
+    return;
+  }
+
+  if (command === "save-and-close" && (await saveAllDocuments()) && desktop) {
+    desktop.closeWindow();
+  }
+}
+
+function isMathTokenNode(node) {
+  return node instanceof HTMLElement && node.classList.contains("math-token");
+}
+
+function mathRawForToken(token) {
+  const tex = token.getAttribute("data-tex") || "";
+  const display = token.getAttribute("data-display") === "true";
+  const open = token.getAttribute("data-delimiter") || (display ? "$$" : "$");
+  return {
+    tex,
+    display,
+    delimiterSize: open.length,
+    raw: `${open}${tex}${MATH_DELIMITERS[open]}`
+  };
+}
+
+function setCaret(node, offset) {
+  const range = document.createRange();
+  range.setStart(node, Math.max(0, Math.min(offset, node.nodeValue ? node.nodeValue.length : 0)));
+  range.collapse(true);
+
+  const selection = window.getSelection();
+  if (!selection) {
+    return;
+  }
+
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+function setCaretAfterNode(node) {
+  const range = document.createRange();
+  range.setStartAfter(node);
+  range.collapse(true);
+
+  const selection = window.getSelection();
+  if (!selection) {
+    return;
+  }
+
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+function setCaretBeforeNode(node) {
+  const range = document.createRange();
+  range.setStartBefore(node);
+  range.collapse(true);
+
+  const selection = window.getSelection();
+  if (!selection) {
+    return;
+  }
+
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+function setCaretBeforeReferenceNode(parent, node) {
+  const range = document.createRange();
+  range.setStartBefore(node);
+  range.collapse(true);
+
+  const selection = window.getSelection();
+  if (!selection) {
+    return;
+  }
+
+  selection.removeAllRanges();
+  selection.addRange(range);
+  if (parent instanceof HTMLElement) {
+    parent.focus();
+  }
+}
+
+function getCollapsedEditorRange() {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0 || !selection.isCollapsed) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0);
+  if (!editor.contains(range.startContainer)) {
+    return null;
+  }
+
+  return range;
+}
+
+function adjacentSignificantSibling(node, direction) {
+  let sibling = direction === "next" ? node.nextSibling : node.previousSibling;
+  while (sibling && sibling.nodeType === Node.TEXT_NODE && !(sibling.nodeValue || "").length) {
+    sibling = direction === "next" ? sibling.nextSibling : sibling.previousSibling;
+  }
+  return sibling;
+}
+
+function adjacentMathToken(range, direction) {
+  const { startContainer, startOffset } = range;
+
+  if (startContainer.nodeType === Node.TEXT_NODE) {
+    const text = startContainer.nodeValue || "";
+    const boundaryOffset = direction === "next" ? text.length : 0;
+    if (startOffset !== boundaryOffset) {
+      return null;
+    }
+
+    const sibling = adjacentSignificantSibling(startContainer, direction);
+    return isMathTokenNode(sibling) ? sibling : null;
+  }
+
+  if (startContainer.nodeType === Node.ELEMENT_NODE) {
+    const element = startContainer;
+    const sibling = direction === "next"
+      ? element.childNodes[startOffset]
+      : (startOffset > 0 ? element.childNodes[startOffset - 1] : null);
+    return isMathTokenNode(sibling) ? sibling : null;
+  }
+
+  return null;
+}
+
+function nearestEditorChild(node) {
+  let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  while (current && current.parentElement && current.parentElement !== editor) {
+    current = current.parentElement;
+  }
+  return current && current.parentElement === editor ? current : null;
+}
+
+function nextEditorChild(node) {
+  let sibling = node.nextSibling;
+  while (sibling && sibling.nodeType === Node.TEXT_NODE && !(sibling.nodeValue || "").trim()) {
+    sibling = sibling.nextSibling;
+  }
+  return sibling;
+}
+
+function previousEditorChild(node) {
+  let sibling = node.previousSibling;
+  while (sibling && sibling.nodeType === Node.TEXT_NODE && !(sibling.nodeValue || "").trim()) {
+    sibling = sibling.previousSibling;
+  }
+  return sibling;
+}
+
+function isRangeAtContainerStart(range, container) {
+  const probe = document.createRange();
+  probe.selectNodeContents(container);
+  probe.collapse(true);
+  return range.compareBoundaryPoints(Range.START_TO_START, probe) === 0;
+}
+
+function isRangeAtContainerEnd(range, container) {
+  const probe = document.createRange();
+  probe.selectNodeContents(container);
+  probe.collapse(false);
+  return range.compareBoundaryPoints(Range.END_TO_END, probe) === 0;
+}
+
+function mergeWithNextEditorBlock() {
+  const range = getCollapsedEditorRange();
+  if (!range) {
+    return false;
+  }
+
+  const current = nearestEditorChild(range.startContainer);
+  if (!current || !isRangeAtContainerEnd(range, current)) {
+    return false;
+  }
+
+  const next = nextEditorChild(current);
+  if (!(next instanceof HTMLElement)) {
+    return false;
+  }
+
+  if (isTocBlock(next)) {
+    next.remove();
+    recordHistory("edit");
+    scheduleSave();
+    return true;
+  }
+
+  const firstMoved = next.firstChild;
+  if (!firstMoved) {
+    next.remove();
+    return false;
+  }
+
+  while (next.firstChild) {
+    current.appendChild(next.firstChild);
+  }
+  next.remove();
+  setCaretBeforeReferenceNode(current, firstMoved);
+  recordHistory("edit");
+  scheduleSave();
+  return true;
+}
+
+function mergeWithPreviousEditorBlock() {
+  const range = getCollapsedEditorRange();
+  if (!range) {
+    return false;
+  }
+
+  const current = nearestEditorChild(range.startContainer);
+  if (!current || !isRangeAtContainerStart(range, current)) {
+    return false;
+  }
+
+  const previous = previousEditorChild(current);
+  if (!(previous instanceof HTMLElement)) {
+    return false;
+  }
+
+  if (isTocBlock(previous)) {
+    previous.remove();
+    recordHistory("edit");
+    scheduleSave();
+    return true;
+  }
+
+  if (previous === frontMatterBlock()) {
+    const pre = previous.querySelector("pre");
+    setCodeSelection(pre, codeBlockText(pre).length);
+    return true;
+  }
+
+  const previousLast = previous.lastChild;
+  while (current.firstChild) {
+    previous.appendChild(current.firstChild);
+  }
+  current.remove();
+
+  if (previousLast) {
+    const rangeAfter = document.createRange();
+    rangeAfter.setStartAfter(previousLast);
+    rangeAfter.collapse(true);
+    const selection = window.getSelection();
+    if (selection) {
+      selection.removeAllRanges();
+      selection.addRange(rangeAfter);
+    }
+  } else {
+    setCaretBeforeNode(previous.firstChild || previous);
+  }
+
+  recordHistory("edit");
+  scheduleSave();
+  return true;
+}
+
+function handleArrowAcrossMathToken(event) {
+  if (event.key !== "ArrowRight" && event.key !== "ArrowLeft") {
+    return;
+  }
+
+  const range = getCollapsedEditorRange();
+  if (!range) {
+    return;
+  }
+  const direction = event.key === "ArrowRight" ? "next" : "prev";
+  const token = adjacentMathToken(range, direction);
+  if (!token) {
+    return;
+  }
+
+  event.preventDefault();
+  const fromSide = direction === "next" ? "from-left" : "from-right";
+  expandMathTokenForBoundaryEdit(token, fromSide);
+}
+
+function expandMathTokenWithOffset(token, offset) {
+  const { raw } = mathRawForToken(token);
+  const boundedOffset = Math.max(0, Math.min(offset, raw.length));
+  const textNode = document.createTextNode(raw);
+  token.replaceWith(textNode);
+
+  editor.focus();
+  setCaret(textNode, boundedOffset);
+  activeMathEdit = { textNode };
+  recordHistory("transparent");
+  updateMathPreview();
+  scheduleSave();
+  return textNode;
+}
+
+function expandMathTokenForBoundaryEdit(token, fromSide) {
+  const { raw, delimiterSize } = mathRawForToken(token);
+  const offset = fromSide === "from-left"
+    ? delimiterSize
+    : raw.length - delimiterSize;
+  return expandMathTokenWithOffset(token, offset);
+}
+
+function expandMathTokenForEdit(token, clickX) {
+  const { raw } = mathRawForToken(token);
+
+  const rect = token.getBoundingClientRect();
+  const ratio = rect.width > 0 ? Math.max(0, Math.min(1, (clickX - rect.left) / rect.width)) : 1;
+  const offset = Math.round(ratio * raw.length);
+  expandMathTokenWithOffset(token, offset);
+}
+
+function finalizeMathEditIfNeeded() {
+  if (!activeMathEdit) {
+    return;
+  }
+
+  const selection = window.getSelection();
+  const textNode = activeMathEdit.textNode;
+  const stillInDom = editor.contains(textNode);
+  if (!selection || selection.rangeCount === 0 || !stillInDom) {
+    activeMathEdit = null;
+    runMathPass(true);
+    return;
+  }
+
+  const range = selection.getRangeAt(0);
+  const stillEditing = range.startContainer === textNode;
+
+  if (stillEditing) {
+    return;
+  }
+
+  activeMathEdit = null;
+  runMathPass(true);
+}
+
+function deleteCharInTextNode(textNode, offset, direction) {
+  const value = textNode.nodeValue || "";
+  if (direction === "backward") {
+    if (offset <= 0) {
+      return;
+    }
+    textNode.nodeValue = `${value.slice(0, offset - 1)}${value.slice(offset)}`;
+    setCaret(textNode, offset - 1);
+  } else {
+    if (offset >= value.length) {
+      return;
+    }
+    textNode.nodeValue = `${value.slice(0, offset)}${value.slice(offset + 1)}`;
+    setCaret(textNode, offset);
+  }
+  recordHistory("typing");
+  scheduleSave();
+  updateMathPreview();
+}
+
+function editAdjacentMathTokenWithDelete(key) {
+  const range = getCollapsedEditorRange();
+  if (!range) {
+    return false;
+  }
+
+  const direction = key === "Backspace" ? "prev" : "next";
+  const token = adjacentMathToken(range, direction);
+  if (!token) {
+    return false;
+  }
+
+  const textNode = expandMathTokenWithOffset(
+    token,
+    direction === "prev" ? mathRawForToken(token).raw.length : 0
+  );
+  deleteCharInTextNode(textNode, direction === "prev" ? textNode.nodeValue.length : 0, direction === "prev" ? "backward" : "forward");
+  return true;
+}
+
+function inlineRuleElement(tagName, text) {
+  const element = document.createElement(tagName);
+  element.textContent = text;
+  return element;
+}
+
+function textBeforeCaret(container, range) {
+  const probe = document.createRange();
+  probe.selectNodeContents(container);
+  probe.setEnd(range.startContainer, range.startOffset);
+  return probe.toString();
+}
+
+function positionAtTextOffset(container, offset) {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  let remaining = offset;
+  let lastText = null;
+
+  while (walker.nextNode()) {
+    const node = walker.currentNode;
+    const length = (node.nodeValue || "").length;
+    if (remaining <= length) {
+      const token = node.parentElement ? node.parentElement.closest(".math-token") : null;
+      if (token && token !== container && container.contains(token)) {
+        return {
+          node: token.parentNode,
+          offset: Array.prototype.indexOf.call(token.parentNode.childNodes, token) + 1
+        };
+      }
+      return { node, offset: remaining };
+    }
+    remaining -= length;
+    lastText = node;
+  }
+
+  if (lastText) {
+    return { node: lastText, offset: (lastText.nodeValue || "").length };
+  }
+  return { node: container, offset: 0 };
+}
+
+function setCaretAtTextOffset(container, offset) {
+  const { node, offset: nodeOffset } = positionAtTextOffset(container, offset);
+  if (node.nodeType === Node.TEXT_NODE) {
+    setCaret(node, nodeOffset);
+    return;
+  }
+
+  const range = document.createRange();
+  range.setStart(node, nodeOffset);
+  range.collapse(true);
+  const selection = window.getSelection();
+  if (selection) {
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
+
+function setCaretInsideBlock(block) {
+  const range = document.createRange();
+  range.selectNodeContents(block);
+  range.collapse(true);
+
+  const selection = window.getSelection();
+  if (!selection) {
+    return;
+  }
+
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+function ensureCaretPlaceholder(block) {
+  if (!block.textContent && !block.querySelector("br, img, .math-token")) {
+    block.appendChild(document.createElement("br"));
+  }
+}
+
+function moveChildren(from, to) {
+  while (from.firstChild) {
+    to.appendChild(from.firstChild);
+  }
+}
+
+function inputRuleBlock(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const block = element ? element.closest("p, div, h1, h2, h3, h4, h5, h6, li, pre, blockquote") : null;
+  if (!block || block === editor || !editor.contains(block)) {
+    return null;
+  }
+
+  if (block.tagName !== "P" && block.tagName !== "DIV") {
+    return null;
+  }
+
+  const parent = block.parentElement;
+  return parent === editor || (parent && parent.tagName === "BLOCKQUOTE") ? block : null;
+}
+
+function rememberInputRule(revert, exitNode = null) {
+  const range = getCollapsedEditorRange();
+  lastInputRule = range
+    ? { node: range.startContainer, offset: range.startOffset, revert, exitNode }
+    : null;
+}
+
+function isCaretAtInputRule(range) {
+  return Boolean(
+    lastInputRule &&
+    range &&
+    range.startContainer === lastInputRule.node &&
+    range.startOffset === lastInputRule.offset
+  );
+}
+
+function revertLastInputRule() {
+  const range = getCollapsedEditorRange();
+  if (!isCaretAtInputRule(range)) {
+    lastInputRule = null;
+    return false;
+  }
+
+  const { revert } = lastInputRule;
+  lastInputRule = null;
+  revert();
+  recordHistory("edit");
+  scheduleSave();
+  return true;
+}
+
+function applyBlockInputRule() {
+  const range = getCollapsedEditorRange();
+  if (!range) {
+    return false;
+  }
+
+  const block = inputRuleBlock(range.startContainer);
+  if (!block) {
+    return false;
+  }
+
+  const prefix = textBeforeCaret(block, range).replace(/\u00A0/g, " ");
+  const match = BLOCK_INPUT_RULE.exec(prefix);
+  if (!match) {
+    return false;
+  }
+
+  const original = block.cloneNode(true);
+  const strip = document.createRange();
+  strip.setStart(block, 0);
+  strip.setEnd(range.startContainer, range.startOffset);
+  strip.deleteContents();
+
+  const marker = match[1];
+  let replacement;
+  let caretTarget;
+
+  if (marker.startsWith("#")) {
+    replacement = document.createElement(`h${marker.length}`);
+    caretTarget = replacement;
+  } else if (marker === ">") {
+    replacement = document.createElement("blockquote");
+    caretTarget = document.createElement("p");
+    replacement.appendChild(caretTarget);
+  } else {
+    const ordered = /\d/.test(marker);
+    replacement = document.createElement(ordered ? "ol" : "ul");
+    if (ordered && Number.parseInt(marker, 10) !== 1) {
+      replacement.setAttribute("start", String(Number.parseInt(marker, 10)));
+    }
+    caretTarget = document.createElement("li");
+    replacement.appendChild(caretTarget);
+  }
+
+  moveChildren(block, caretTarget);
+  ensureCaretPlaceholder(caretTarget);
+  block.replaceWith(replacement);
+  setCaretInsideBlock(caretTarget);
+
+  rememberInputRule(() => {
+    replacement.replaceWith(original);
+    setCaretAtTextOffset(original, prefix.length);
+  });
+  return true;
+}
+
+// The list item the caret is in, and the block holding the item's first line:
+// the item itself, or its first paragraph when the list is loose.
+function listItemLineAt(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const block = element ? element.closest("p, li") : null;
+  if (!block || !editor.contains(block)) {
+    return null;
+  }
+
+  const item = block.tagName === "LI" ? block : block.parentElement;
+  if (!item || item.tagName !== "LI" || (block !== item && block !== item.firstElementChild)) {
+    return null;
+  }
+  return { item, block };
+}
+
+function applyTaskInputRule() {
+  const range = getCollapsedEditorRange();
+  const line = range ? listItemLineAt(range.startContainer) : null;
+  if (!line || taskCheckbox(line.item)) {
+    return false;
+  }
+
+  const prefix = textBeforeCaret(line.block, range).replace(/\u00A0/g, " ");
+  const match = TASK_INPUT_RULE.exec(prefix);
+  if (!match) {
+    return false;
+  }
+
+  const strip = document.createRange();
+  strip.setStart(line.block, 0);
+  strip.setEnd(range.startContainer, range.startOffset);
+  strip.deleteContents();
+
+  const checkbox = createTaskCheckbox(match[1] !== " ");
+  line.block.prepend(checkbox);
+  ensureCaretPlaceholder(line.block);
+  setCaretAfterNode(checkbox);
+
+  rememberInputRule(() => {
+    const text = document.createTextNode(prefix);
+    checkbox.replaceWith(text);
+    setCaret(text, prefix.length);
+  });
+  return true;
+}
+
+// Enter on a task with no text clears its checkbox, so the browser's own
+// Enter then ends the list as it does for an empty item.
+function clearEmptyTaskItem() {
+  const range = getCollapsedEditorRange();
+  const line = range ? listItemLineAt(range.startContainer) : null;
+  const checkbox = line ? taskCheckbox(line.item) : null;
+  if (checkbox && !line.block.textContent.trim() && !line.block.querySelector("img, .math-token")) {
+    checkbox.remove();
+  }
+}
+
+// The item the browser splits off a task with Enter is a new, unchecked task.
+function continueTaskList() {
+  const range = getCollapsedEditorRange();
+  const line = range ? listItemLineAt(range.startContainer) : null;
+  if (!line || taskCheckbox(line.item)) {
+    return;
+  }
+
+  const previous = line.item.previousElementSibling;
+  if (previous && previous.tagName === "LI" && taskCheckbox(previous)) {
+    const checkbox = createTaskCheckbox(false);
+    line.block.prepend(checkbox);
+    setCaretAfterNode(checkbox);
+  }
+}
+
+// Tab nests a list item under the one before it, and Shift+Tab moves it back
+// out after its parent, taking the items below it along as its children.
+function handleListItemTab(event) {
+  if (event.key !== "Tab" || event.altKey || event.ctrlKey || event.metaKey) {
+    return false;
+  }
+
+  const range = getCollapsedEditorRange();
+  const line = range ? listItemLineAt(range.startContainer) : null;
+  if (!line) {
+    return false;
+  }
+
+  event.preventDefault();
+  const { item, block } = line;
+  const list = item.parentElement;
+  const offset = textBeforeCaret(block, range).length;
+  const childList = (parent) => {
+    let nested = parent.lastElementChild;
+    if (!nested || nested.tagName !== list.tagName) {
+      nested = document.createElement(list.tagName);
+      parent.appendChild(nested);
+    }
+    return nested;
+  };
+
+  if (event.shiftKey) {
+    const parentItem = list.parentElement;
+    if (!parentItem || parentItem.tagName !== "LI") {
+      return true;
+    }
+    const following = [];
+    for (let next = item.nextElementSibling; next; next = next.nextElementSibling) {
+      following.push(next);
+    }
+    if (following.length) {
+      childList(item).append(...following);
+    }
+    parentItem.after(item);
+    if (!list.children.length) {
+      list.remove();
+    }
+  } else {
+    const previous = item.previousElementSibling;
+    if (!previous || previous.tagName !== "LI") {
+      return true;
+    }
+    childList(previous).appendChild(item);
+  }
+
+  setCaretAtTextOffset(block, offset);
+  recordHistory("edit");
+  scheduleSave();
+  return true;
+}
+
+function applyEnterInputRule() {
+  const range = getCollapsedEditorRange();
+  if (!range) {
+    return false;
+  }
+
+  const block = inputRuleBlock(range.startContainer);
+  if (!block || textBeforeCaret(block, range).length !== (block.textContent || "").length) {
+    return false;
+  }
+
+  const text = (block.textContent || "").replace(/\u00A0/g, " ").trim();
+  const fence = /^(`{3,}|~{3,})([^`]*)$/.exec(text);
+  const isRule = /^(?:-{3,}|\*{3,}|_{3,})$/.test(text);
+  const isToc = text === "[TOC]" && block.parentElement === editor;
+  const isFrontMatter = text === "---" && block === editor.firstElementChild;
+  if (!fence && !isRule && !isToc) {
+    return false;
+  }
+
+  const original = block.cloneNode(true);
+  const inserted = [];
+  let caretTarget;
+
+  if (fence) {
+    const pre = createCodeBlock("", fence[2].trim(), fence[1]);
+    inserted.push(pre);
+    caretTarget = pre.querySelector("code");
+  } else if (isFrontMatter) {
+    const frontMatter = createFrontMatterBlock("");
+    const paragraph = document.createElement("p");
+    ensureCaretPlaceholder(paragraph);
+    inserted.push(frontMatter, paragraph);
+    caretTarget = frontMatter.querySelector("code");
+  } else {
+    const paragraph = document.createElement("p");
+    ensureCaretPlaceholder(paragraph);
+    inserted.push(isToc ? createTocBlock() : document.createElement("hr"), paragraph);
+    caretTarget = paragraph;
+  }
+
+  block.replaceWith(...inserted);
+  setCaretInsideBlock(caretTarget);
+
+  rememberInputRule(() => {
+    inserted[0].replaceWith(original);
+    inserted.slice(1).forEach((node) => node.remove());
+    setCaretAtTextOffset(original, (original.textContent || "").length);
+  });
+  recordHistory("edit");
+  if (isToc) {
+    updateOutline();
+  }
+  scheduleSave();
+  return true;
+}
+
+function countUnescapedDollars(text) {
+  return (text.match(/(?:^|[^\\])\$/g) || []).length;
+}
+
+function applyInlineInputRule(data) {
+  if (!data || !"*`~)}".includes(data.slice(-1))) {
+    return false;
+  }
+
+  const range = getCollapsedEditorRange();
+  if (!range || range.startContainer.nodeType !== Node.TEXT_NODE) {
+    return false;
+  }
+
+  const textNode = range.startContainer;
+  const parent = textNode.parentElement;
+  if (!parent || parent.closest("code, pre, a, .math-token")) {
+    return false;
+  }
+
+  if (activeMathEdit && activeMathEdit.textNode === textNode) {
+    return false;
+  }
+
+  const value = textNode.nodeValue || "";
+  const before = value.slice(0, range.startOffset);
+
+  for (const rule of INLINE_INPUT_RULES) {
+    const match = rule.pattern.exec(before);
+    if (!match) {
+      continue;
+    }
+
+    if (countUnescapedDollars(before.slice(0, match.index)) % 2 === 1) {
+      return false;
+    }
+
+    const element = rule.create(match);
+    if (!element) {
+      return false;
+    }
+
+    const rest = textNode.splitText(range.startOffset);
+    textNode.nodeValue = before.slice(0, match.index);
+    rest.parentNode.insertBefore(element, rest);
+    setCaret(rest, 0);
+
+    const raw = match[0];
+    rememberInputRule(() => {
+      const rawText = document.createTextNode(raw);
+      element.replaceWith(rawText);
+      setCaret(rawText, raw.length);
+    }, rest);
+    return true;
+  }
+
+  return false;
+}
+
+function typeAfterInputRule(event) {
+  if (event.inputType !== "insertText" || !event.data || !lastInputRule || !lastInputRule.exitNode) {
+    return false;
+  }
+
+  const range = getCollapsedEditorRange();
+  if (!isCaretAtInputRule(range)) {
+    return false;
+  }
+
+  // Browsers move a caret sitting right after an inline element back inside it,
+  // so the first character typed after a conversion is placed by hand.
+  const { exitNode } = lastInputRule;
+  exitNode.insertData(0, event.data);
+  setCaret(exitNode, event.data.length);
+  lastInputRule = null;
+  editor.dispatchEvent(new InputEvent("input", { inputType: "insertText", data: event.data }));
+  return true;
+}
+
+function createCodeBlock(text, info = "", fence = "```") {
+  const pre = document.createElement("pre");
+  pre.setAttribute("data-fence", fence);
+  pre.setAttribute("data-info", info);
+  pre.appendChild(document.createElement("code"));
+  renderCodeBlock(pre, text);
+  return pre;
+}
+
+function codeBlockLanguage(pre) {
+  const info = pre.getAttribute("data-info");
+  if (info !== null) {
+    return info.trim().split(/\s+/)[0] || "";
+  }
+
+  const code = pre.querySelector("code");
+  const match = code ? /(?:^|\s)language-(\S+)/.exec(code.className) : null;
+  return match ? match[1] : "";
+}
+
+// Rendered code always ends in one extra newline so the caret has a line to
+// sit on after a trailing Enter; it is not part of the code itself.
+function codeBlockText(pre) {
+  return (pre.textContent || "").replace(/\n$/, "");
+}
+
+function renderCodeBlock(pre, text) {
+  let code = pre.querySelector("code");
+  if (!code || code.parentElement !== pre) {
+    code = document.createElement("code");
+    pre.replaceChildren(code);
+  }
+
+  const language = codeBlockLanguage(pre);
+  if (language) {
+    code.className = `language-${language}`;
+  } else {
+    code.removeAttribute("class");
+  }
+  code.innerHTML = `${highlightCode(text, language)}\n`;
+}
+
+function fenceForCode(text, preferred) {
+  const char = preferred[0] === "~" ? "~" : "`";
+  let length = Math.max(3, preferred.length);
+  const runs = text.match(char === "~" ? /^ {0,3}~{3,}/gm : /^ {0,3}`{3,}/gm) || [];
+  for (const run of runs) {
+    length = Math.max(length, run.trim().length + 1);
+  }
+  return char.repeat(length);
+}
+
+function codeBlockFromNode(node) {
+  const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+  const pre = element ? element.closest("pre") : null;
+  return pre && editor.contains(pre) ? pre : null;
+}
+
+function selectedCodeBlock() {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0);
+  const pre = codeBlockFromNode(range.startContainer);
+  return pre && pre.contains(range.endContainer) ? pre : null;
+}
+
+function codeSelectionOffsets(pre) {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return null;
+  }
+
+  const range = selection.getRangeAt(0);
+  if (!pre.contains(range.startContainer) || !pre.contains(range.endContainer)) {
+    return null;
+  }
+
+  const offsetOf = (node, offset) => {
+    const probe = document.createRange();
+    probe.selectNodeContents(pre);
+    probe.setEnd(node, offset);
+    return probe.toString().length;
+  };
+  return {
+    start: offsetOf(range.startContainer, range.startOffset),
+    end: offsetOf(range.endContainer, range.endOffset)
+  };
+}
+
+function setCodeSelection(pre, start, end = start) {
+  const selection = window.getSelection();
+  if (!selection) {
+    return;
+  }
+
+  const anchor = positionAtTextOffset(pre, start);
+  const focus = positionAtTextOffset(pre, end);
+  selection.setBaseAndExtent(anchor.node, anchor.offset, focus.node, focus.offset);
+}
+
+function rehighlightCodeBlock(pre) {
+  const offsets = codeSelectionOffsets(pre);
+  renderCodeBlock(pre, codeBlockText(pre));
+  if (offsets) {
+    setCodeSelection(pre, offsets.start, offsets.end);
+  }
+}
+
+function editCodeBlock(pre, transform, kind = "edit") {
+  const offsets = codeSelectionOffsets(pre);
+  if (!offsets) {
+    return false;
+  }
+
+  const text = codeBlockText(pre);
+  const result = transform(text, Math.min(offsets.start, text.length), Math.min(offsets.end, text.length));
+  renderCodeBlock(pre, result.text);
+  setCodeSelection(pre, result.start, result.end ?? result.start);
+  recordHistory(kind);
+  scheduleSave();
+  return true;
+}
+
+function lineRangeAround(text, start, end) {
+  const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+  const nextBreak = text.indexOf("\n", end);
+  return { lineStart, lineEnd: nextBreak === -1 ? text.length : nextBreak };
+}
+
+function indentCodeLines(text, start, end) {
+  if (start === end) {
+    return {
+      text: `${text.slice(0, start)}${CODE_INDENT}${text.slice(end)}`,
+      start: start + CODE_INDENT.length
+    };
+  }
+
+  const { lineStart, lineEnd } = lineRangeAround(text, start, end);
+  const lines = text.slice(lineStart, lineEnd).split("\n");
+  return {
+    text: `${text.slice(0, lineStart)}${lines.map((line) => `${CODE_INDENT}${line}`).join("\n")}${text.slice(lineEnd)}`,
+    start: start + CODE_INDENT.length,
+    end: end + CODE_INDENT.length * lines.length
+  };
+}
+
+function outdentCodeLines(text, start, end) {
+  const { lineStart, lineEnd } = lineRangeAround(text, start, end);
+  let removedFirst = 0;
+  let removedTotal = 0;
+  const lines = text.slice(lineStart, lineEnd).split("\n").map((line, index) => {
+    const match = /^(?:\t| {1,4})/.exec(line);
+    const removed = match ? match[0].length : 0;
+    if (index === 0) {
+      removedFirst = removed;
+    }
+    removedTotal += removed;
+    return line.slice(removed);
+  });
+
+  return {
+    text: `${text.slice(0, lineStart)}${lines.join("\n")}${text.slice(lineEnd)}`,
+    start: Math.max(lineStart, start - removedFirst),
+    end: Math.max(lineStart, end - removedTotal)
+  };
+}
+
+function insertCodeNewline(text, start, end) {
+  const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+  const indent = /^[ \t]*/.exec(text.slice(lineStart, start))[0];
+  const inserted = `\n${indent}`;
+  return {
+    text: `${text.slice(0, start)}${inserted}${text.slice(end)}`,
+    start: start + inserted.length
+  };
+}
+
+function insertParagraphAfter(block) {
+  const paragraph = document.createElement("p");
+  ensureCaretPlaceholder(paragraph);
+  block.after(paragraph);
+  setCaretInsideBlock(paragraph);
+  recordHistory("edit");
+  scheduleSave();
+}
+
+function handleCodeBlockKeydown(event) {
+  const pre = selectedCodeBlock();
+  if (!pre) {
+    return false;
+  }
+
+  if (event.key === "Tab") {
+    event.preventDefault();
+    editCodeBlock(pre, event.shiftKey ? outdentCodeLines : indentCodeLines);
+    return true;
+  }
+
+  if (event.key === "Enter" && (event.metaKey || event.ctrlKey)) {
+    event.preventDefault();
+    insertParagraphAfter(codeBlockOuter(pre));
+    return true;
+  }
+
+  if (event.key === "Enter") {
+    event.preventDefault();
+    editCodeBlock(pre, insertCodeNewline, "typing");
+    return true;
+  }
+
+  const offsets = codeSelectionOffsets(pre);
+  const text = codeBlockText(pre);
+  if (!offsets || offsets.start !== offsets.end) {
+    return false;
+  }
+
+  if (event.key === "Backspace" && !text) {
+    event.preventDefault();
+    const paragraph = document.createElement("p");
+    ensureCaretPlaceholder(paragraph);
+    codeBlockOuter(pre).replaceWith(paragraph);
+    setCaretInsideBlock(paragraph);
+    recordHistory("edit");
+    scheduleSave();
+    return true;
+  }
+
+  if (
+    (event.key === "ArrowDown" || event.key === "ArrowRight") &&
+    offsets.start >= text.length &&
+    codeBlockOuter(pre).parentElement === editor &&
+    !nextEditorChild(codeBlockOuter(pre))
+  ) {
+    event.preventDefault();
+    insertParagraphAfter(codeBlockOuter(pre));
+    return true;
+  }
+
+  return false;
+}
+
+function insertCodeBlock() {
+  const range = getCollapsedEditorRange();
+  const block = range ? nearestEditorChild(range.startContainer) : null;
+  if (block && block.tagName === "PRE") {
+    return;
+  }
+
+  const text = block && /^(P|DIV|H[1-6])$/.test(block.tagName) ? (block.textContent || "").replace(/\u00A0/g, " ") : "";
+  const pre = createCodeBlock(text);
+  if (block && /^(P|DIV|H[1-6])$/.test(block.tagName)) {
+    block.replaceWith(pre);
+  } else if (block) {
+    block.after(pre);
+  } else {
+    editor.appendChild(pre);
+  }
+
+  setCodeSelection(pre, text.length);
+  recordHistory("edit");
+  scheduleSave();
+  updateCodeTools();
+}
+
+function setCodeBlockLanguage(pre, language) {
+  const info = pre.getAttribute("data-info") || "";
+  const name = language.trim().split(/\s+/)[0] || "";
+  pre.setAttribute("data-info", name ? info.replace(/^\s*\S*/, name) : info.replace(/^\s*\S*\s*/, ""));
+  renderCodeBlock(pre, codeBlockText(pre));
+  recordHistory("edit");
+  scheduleSave();
+}
+
+async function copyCodeBlock(pre) {
+  try {
+    await navigator.clipboard.writeText(codeBlockText(pre));
+    codeCopyButton.textContent = "Copied";
+  } catch {
+    codeCopyButton.textContent = "Copy failed";
+  }
+  setTimeout(() => {
+    codeCopyButton.textContent = "Copy";
+  }, 1200);
+}
+
+function updateCodeTools() {
+  if (codeTools.contains(document.activeElement) && activeCodeBlock && editor.contains(activeCodeBlock)) {
+    positionCodeTools();
+    return;
+  }
+
+  const pre = sourceMode ? null : selectedCodeBlock();
+  if (!pre || codeBlockOuter(pre) !== pre) {
+    activeCodeBlock = null;
+    codeTools.hidden = true;
+    return;
+  }
+
+  if (pre !== activeCodeBlock) {
+    activeCodeBlock = pre;
+    codeLanguageInput.value = codeBlockLanguage(pre);
+  }
+  codeTools.hidden = false;
+  positionCodeTools();
+}
+
+function positionCodeTools() {
+  const rect = activeCodeBlock.getBoundingClientRect();
+  const width = codeTools.offsetWidth || 220;
+  codeTools.style.left = `${Math.max(8, rect.right - width - 6)}px`;
+  codeTools.style.top = `${Math.max(8, rect.top + 6)}px`;
+}
+
+function showFormDialog({ title, fields, confirmLabel = "OK" }) {
+  formDialogTitle.textContent = title;
+  formDialogConfirm.textContent = confirmLabel;
+
+  const inputs = [];
+  const rows = fields.map((field) => {
+    const label = document.createElement("label");
+    label.className = "form-dialog-field";
+    const caption = document.createElement("span");
+    caption.textContent = field.label;
+
+    let input;
+    if (field.type === "textarea") {
+      input = document.createElement("textarea");
+      input.rows = field.rows || 8;
+      input.spellcheck = false;
+    } else if (field.type === "select") {
+      input = document.createElement("select");
+      for (const option of field.options) {
+        const element = document.createElement("option");
+        element.value = option.value;
+        element.textContent = option.label;
+        input.appendChild(element);
+      }
+    } else {
+      input = document.createElement("input");
+      input.type = field.type || "text";
+      if (field.min !== undefined) {
+        input.min = String(field.min);
+      }
+      if (field.max !== undefined) {
+        input.max = String(field.max);
+      }
+      if (field.step !== undefined) {
+        input.step = String(field.step);
+      }
+      if (field.accept) {
+        input.accept = field.accept;
+      }
+    }
+
+    input.name = field.name;
+    if (field.type === "checkbox") {
+      input.checked = Boolean(field.value);
+      label.classList.add("is-checkbox");
+      label.append(input, caption);
+    } else {
+      input.value = field.value ?? "";
+      label.append(caption, input);
+    }
+
+    if (field.hint) {
+      const hint = document.createElement("small");
+      hint.textContent = field.hint;
+      label.appendChild(hint);
+    }
+
+    inputs.push(input);
+    return label;
+  });
+  formDialogFields.replaceChildren(...rows);
+
+  return new Promise((resolve) => {
+    formDialog.addEventListener("close", () => {
+      if (formDialog.returnValue !== "ok") {
+        resolve(null);
+        return;
+      }
+
+      resolve(Object.fromEntries(inputs.map((input) => {
+        if (input.type === "file") {
+          return [input.name, input.files[0] || null];
+        }
+        return [input.name, input.type === "checkbox" ? input.checked : input.value];
+      })));
+    }, { once: true });
+
+    formDialog.returnValue = "";
+    formDialog.showModal();
+    if (inputs[0]) {
+      inputs[0].focus();
+      if (typeof inputs[0].select === "function") {
+        inputs[0].select();
+      }
+    }
+  });
+}
+
+function escapeTableCell(markdown) {
+  return markdown.replace(/\n+/g, " ").replace(/\|/g, "\\|").trim();
+}
+
+function tableRows(table) {
+  return Array.from(table.rows);
+}
+
+function tableColumnCount(table) {
+  return tableRows(table).reduce((count, row) => Math.max(count, row.cells.length), 0);
+}
+
+function cellAlignment(cell) {
+  const align = (cell && (cell.style.textAlign || cell.getAttribute("align"))) || "";
+  return ["left", "center", "right"].includes(align) ? align : "";
+}
+
+function serializeTable(table) {
+  const rows = tableRows(table);
+  const columns = tableColumnCount(table);
+  if (!rows.length || !columns) {
+    return "";
+  }
+
+  const toLine = (cells) => `| ${cells.join(" | ")} |`;
+  const rowCells = (row) => {
+    const cells = Array.from(row.cells).map((cell) => escapeTableCell(turndown.turndown(cell)));
+    while (cells.length < columns) {
+      cells.push("");
+    }
+    return cells;
+  };
+
+  const [header, ...body] = rows;
+  const delimiter = Array.from({ length: columns }, (_, index) => {
+    const align = cellAlignment(header.cells[index]);
+    if (align === "center") {
+      return ":---:";
+    }
+    if (align === "right") {
+      return "---:";
+    }
+    return align === "left" ? ":---" : "---";
+  });
+
+  return [toLine(rowCells(header)), toLine(delimiter), ...body.map((row) => toLine(rowCells(row)))].join("\n");
+}
+
+function createTableCell(tagName, align) {
+  const cell = document.createElement(tagName);
+  if (align) {
+    cell.style.textAlign = align;
+  }
+  ensureCaretPlaceholder(cell);
+  return cell;
+}
+
+function createTable(columns, rows) {
+  const table = document.createElement("table");
+  const head = table.createTHead().insertRow();
+  for (let column = 0; column < columns; column += 1) {
+    head.appendChild(createTableCell("th"));
+  }
+
+  const body = table.createTBody();
+  for (let row = 1; row < rows; row += 1) {
+    const tr = body.insertRow();
+    for (let column = 0; column < columns; column += 1) {
+      tr.appendChild(createTableCell("td"));
+    }
+  }
+  return table;
+}
+
+async function insertTableByDialog() {
+  const savedSelection = captureSelection();
+  const values = await showFormDialog({
+    title: "Insert table",
+    confirmLabel: "Insert",
+    fields: [
+      { name: "columns", label: "Columns", type: "number", value: "3", min: 1, max: 20 },
+      { name: "rows", label: "Rows (including header)", type: "number", value: "3", min: 1, max: 200 }
+    ]
+  });
+  if (!values) {
+    return;
+  }
+
+  const columns = Math.max(1, Math.min(20, Number.parseInt(values.columns, 10) || 3));
+  const rows = Math.max(1, Math.min(200, Number.parseInt(values.rows, 10) || 3));
+
+  editor.focus({ preventScroll: true });
+  restoreSelection(savedSelection);
+  const range = getCollapsedEditorRange();
+  const block = range ? nearestEditorChild(range.startContainer) : null;
+  const table = createTable(columns, rows);
+
+  if (block && /^(P|DIV)$/.test(block.tagName) && !(block.textContent || "").trim()) {
+    block.replaceWith(table);
+  } else if (block) {
+    block.after(table);
+  } else {
+    editor.appendChild(table);
+  }
+
+  if (!nextEditorChild(table)) {
+    const paragraph = document.createElement("p");
+    ensureCaretPlaceholder(paragraph);
+    table.after(paragraph);
+  }
+
+  setCaretInsideBlock(table.rows[0].cells[0]);
+  recordHistory("edit");
+  scheduleSave();
+  updateTableTools();
+}
+
+function selectedTableCell() {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) {
+    return null;
+  }
+
+  const node = selection.getRangeAt(0).startContainer;
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  const cell = element ? element.closest("td, th") : null;
+  return cell && editor.contains(cell) ? cell : null;
+}
+
+function setCaretAtCellEnd(cell) {
+  setCaretAtTextOffset(cell, (cell.textContent || "").length);
+}
+
+function cellIndex(cell) {
+  return Array.prototype.indexOf.call(cell.parentElement.cells, cell);
+}
+
+function insertTableRow(table, referenceRow, after) {
+  const columns = tableColumnCount(table);
+  const header = table.rows[0];
+  const row = document.createElement("tr");
+  for (let column = 0; column < columns; column += 1) {
+    row.appendChild(createTableCell("td", cellAlignment(header.cells[column])));
+  }
+
+  if (referenceRow.parentElement.tagName === "THEAD") {
+    const body = table.tBodies[0] || table.createTBody();
+    body.insertBefore(row, body.firstChild);
+  } else if (after) {
+    referenceRow.after(row);
+  } else {
+    referenceRow.before(row);
+  }
+  return row;
+}
+
+function insertTableColumn(table, index) {
+  for (const row of tableRows(table)) {
+    const tagName = row.parentElement.tagName === "THEAD" ? "th" : "td";
+    const cell = createTableCell(tagName);
+    const reference = row.cells[index] || null;
+    row.insertBefore(cell, reference);
+  }
+}
+
+function removeTable(table) {
+  const paragraph = document.createElement("p");
+  ensureCaretPlaceholder(paragraph);
+  table.replaceWith(paragraph);
+  setCaretInsideBlock(paragraph);
+}
+
+function runTableAction(action) {
+  const cell = selectedTableCell() || (activeTable && activeTable.rows[0] ? activeTable.rows[0].cells[0] : null);
+  const table = cell ? cell.closest("table") : null;
+  if (!cell || !table) {
+    return;
+  }
+
+  const row = cell.parentElement;
+  const column = cellIndex(cell);
+  let caretCell = cell;
+
+  if (action === "row-above" || action === "row-below") {
+    const inserted = insertTableRow(table, row, action === "row-below");
+    caretCell = inserted.cells[column] || inserted.cells[0];
+  } else if (action === "column-left" || action === "column-right") {
+    const index = action === "column-right" ? column + 1 : column;
+    insertTableColumn(table, index);
+    caretCell = row.cells[index];
+  } else if (action === "delete-row") {
+    if (row.parentElement.tagName === "THEAD" || table.rows.length === 1) {
+      if (table.rows.length === 1) {
+        removeTable(table);
+        finishTableEdit();
+        return;
+      }
+      const next = table.rows[1];
+      // Promote the first body row so the table keeps a header.
+      for (const bodyCell of Array.from(next.cells)) {
+        const headerCell = document.createElement("th");
+        headerCell.style.cssText = bodyCell.style.cssText;
+        moveChildren(bodyCell, headerCell);
+        bodyCell.replaceWith(headerCell);
+      }
+      row.replaceWith(next);
+      caretCell = next.cells[Math.min(column, next.cells.length - 1)];
+    } else {
+      const target = row.nextElementSibling || row.previousElementSibling || table.rows[0];
+      row.remove();
+      caretCell = target.cells[Math.min(column, target.cells.length - 1)];
+    }
+  } else if (action === "delete-column") {
+    if (tableColumnCount(table) <= 1) {
+      removeTable(table);
+      finishTableEdit();
+      return;
+    }
+    for (const tableRow of tableRows(table)) {
+      if (tableRow.cells[column]) {
+        tableRow.cells[column].remove();
+      }
+    }
+    caretCell = row.cells[Math.min(column, row.cells.length - 1)];
+  } else if (action.startsWith("align-")) {
+    const align = action.slice("align-".length);
+    for (const tableRow of tableRows(table)) {
+      const target = tableRow.cells[column];
+      if (target) {
+        target.style.textAlign = align === "none" ? "" : align;
+        if (!target.getAttribute("style")) {
+          target.removeAttribute("style");
+        }
+        target.removeAttribute("align");
+      }
+    }
+  } else if (action === "delete-table") {
+    removeTable(table);
+    finishTableEdit();
+    return;
+  }
+
+  editor.focus({ preventScroll: true });
+  setCaretAtCellEnd(caretCell);
+  finishTableEdit();
+}
+
+function finishTableEdit() {
+  recordHistory("edit");
+  scheduleSave();
+  updateTableTools();
+}
+
+function moveToAdjacentCell(cell, backward) {
+  const table = cell.closest("table");
+  const cells = tableRows(table).flatMap((row) => Array.from(row.cells));
+  const index = cells.indexOf(cell);
+  let target = cells[index + (backward ? -1 : 1)];
+
+  if (!target && !backward) {
+    const row = insertTableRow(table, cell.parentElement, true);
+    target = row.cells[0];
+    recordHistory("edit");
+    scheduleSave();
+  }
+
+  if (target) {
+    setCaretAtCellEnd(target);
+  }
+}
+
+function moveToCellBelow(cell) {
+  const table = cell.closest("table");
+  const rows = tableRows(table);
+  const rowIndex = rows.indexOf(cell.parentElement);
+  const column = cellIndex(cell);
+  let row = rows[rowIndex + 1];
+  if (!row) {
+    row = insertTableRow(table, cell.parentElement, true);
+    recordHistory("edit");
+    scheduleSave();
+  }
+  setCaretAtCellEnd(row.cells[Math.min(column, row.cells.length - 1)]);
+}
+
+function handleTableKeydown(event) {
+  const cell = selectedTableCell();
+  if (!cell) {
+    return false;
+  }
+
+  if (event.key === "Tab") {
+    event.preventDefault();
+    moveToAdjacentCell(cell, event.shiftKey);
+    return true;
+  }
+
+  if (event.key === "Enter" && (event.metaKey || event.ctrlKey)) {
+    event.preventDefault();
+    runTableAction("row-below");
+    return true;
+  }
+
+  if (event.key === "Enter") {
+    event.preventDefault();
+    moveToCellBelow(cell);
+    return true;
+  }
+
+  const range = getCollapsedEditorRange();
+  if (!range) {
+    return false;
+  }
+
+  // Keep Backspace/Delete at a cell edge from merging the whole table into
+  // the neighbouring block.
+  const offset = textBeforeCaret(cell, range).length;
+  if (
+    (event.key === "Backspace" && offset === 0) ||
+    (event.key === "Delete" && offset === (cell.textContent || "").length)
+  ) {
+    event.preventDefault();
+    return true;
+  }
+
+  return false;
+}
+
+function updateTableTools() {
+  const cell = sourceMode ? null : selectedTableCell();
+  activeTable = cell ? cell.closest("table") : null;
+  tableTools.hidden = !activeTable;
+  if (activeTable) {
+    positionTableTools();
+  }
+}
+
+function positionTableTools() {
+  const rect = activeTable.getBoundingClientRect();
+  const height = tableTools.offsetHeight || 30;
+  const top = rect.top - height - 6;
+  tableTools.style.left = `${Math.max(8, rect.left)}px`;
+  tableTools.style.top = `${top < 8 ? rect.bottom + 6 : top}px`;
+}
+
+// Relative paths and anchors, and of absolute URLs only web and mail links.
+// Browsers ignore whitespace and control characters in a scheme, so they are
+// dropped before checking it.
+function isSafeLinkUrl(url) {
+  const compact = url.replace(/[\u0000-\u0020]/g, "");
+  return !/^[a-z][a-z\d+.-]*:/i.test(compact) || SAFE_LINK_PROTOCOL.test(compact);
+}
+
+// Links the user wrote, as opposed to the ones the editor draws itself for
+// the table of contents, equation references and footnotes.
+function editableLink(node) {
+  const element = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+  const link = element ? element.closest("a") : null;
+  return link && editor.contains(link) && !link.closest(".eq-ref, .math-token, nav[data-toc]") ? link : null;
+}
+
+function openLinkPopover() {
+  const selection = window.getSelection();
+  if (sourceMode || !selection || selection.rangeCount === 0) {
+    return;
+  }
+
+  const range = selection.getRangeAt(0);
+  if (!editor.contains(range.commonAncestorContainer) || selectedCodeBlock()) {
+    return;
+  }
+
+  const link = editableLink(range.startContainer);
+  linkEdit = { range: range.cloneRange(), link };
+  linkUrlInput.value = link ? link.getAttribute("href") || "" : "";
+  linkTextInput.value = link ? link.textContent : range.toString();
+  linkUrlInput.setCustomValidity("");
+  linkRemoveButton.hidden = !link;
+  hideLinkTooltip();
+
+  linkPopover.hidden = false;
+  const rect = link ? link.getBoundingClientRect() : getRangeClientRect(range);
+  const width = linkPopover.offsetWidth || 420;
+  const height = linkPopover.offsetHeight || 40;
+  linkPopover.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - width - 8))}px`;
+  linkPopover.style.top = `${Math.max(8, Math.min(rect.bottom + 8, window.innerHeight - height - 8))}px`;
+  linkUrlInput.focus();
+  linkUrlInput.select();
+}
+
+function hideLinkPopover() {
+  linkPopover.hidden = true;
+  linkEdit = null;
+}
+
+// Back to the editor, after the link that was edited or where the selection was.
+function finishLinkEdit(caretAfter = null) {
+  const edit = linkEdit;
+  hideLinkPopover();
+  editor.focus({ preventScroll: true });
+  const selection = window.getSelection();
+  if (caretAfter) {
+    setCaretAfterNode(caretAfter);
+  } else if (edit && selection) {
+    selection.removeAllRanges();
+    selection.addRange(edit.range);
+  }
+}
+
+function applyLinkEdit() {
+  if (!linkEdit) {
+    return;
+  }
+
+  const url = linkUrlInput.value.trim();
+  if (!isSafeLinkUrl(url)) {
+    linkUrlInput.setCustomValidity("Only http, https and mailto links, relative paths and #anchors are allowed.");
+    linkUrlInput.reportValidity();
+    return;
+  }
+
+  const { range, link } = linkEdit;
+  if (!url) {
+    if (link) {
+      removeLink();
+    } else {
+      finishLinkEdit();
+    }
+    return;
+  }
+
+  const text = linkTextInput.value || url;
+  let target = link;
+  if (link) {
+    link.setAttribute("href", url);
+    if (text !== link.textContent) {
+      link.textContent = text;
+    }
+  } else {
+    target = document.createElement("a");
+    target.setAttribute("href", url);
+    target.textContent = text;
+    range.deleteContents();
+    range.insertNode(target);
+  }
+
+  finishLinkEdit(target);
+  recordHistory("edit");
+  scheduleSave();
+}
+
+// Unlinking keeps the text and formatting inside the link.
+function removeLink() {
+  const { link } = linkEdit;
+  const last = link.lastChild;
+  link.replaceWith(...link.childNodes);
+  finishLinkEdit(last);
+  recordHistory("edit");
+  scheduleSave();
+}
+
+function showLinkTooltip(link) {
+  linkTooltip.textContent = `${link.getAttribute("href")} — Cmd/Ctrl+click to open`;
+  linkTooltip.hidden = false;
+  const rect = link.getBoundingClientRect();
+  const width = linkTooltip.offsetWidth || 240;
+  linkTooltip.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - width - 8))}px`;
+  linkTooltip.style.top = `${rect.bottom + 6}px`;
+}
+
+function hideLinkTooltip() {
+  linkTooltip.hidden = true;
+}
+
+function decodeLinkPart(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch {
+    return text;
+  }
+}
+
+// #ids match the heading ids an HTML export gets, then equation labels.
+function jumpToAnchor(id) {
+  const used = new Set();
+  const index = outlineHeadings().findIndex((heading) => slugifyHeading(headingText(heading), used) === id);
+  if (index >= 0) {
+    jumpToHeading(index);
+  } else {
+    jumpToEquation(id);
+  }
+}
+
+// A path relative to a file, written with the file's own separators.
+function resolveRelativePath(filePath, relativePath) {
+  const separator = filePath.includes("\\") && !filePath.includes("/") ? "\\" : "/";
+  const parts = filePath.split(/[\\/]/).slice(0, -1);
+  relativePath.split(/[\\/]/).forEach((part) => {
+    if (part === "..") {
+      if (parts.length > 1) {
+        parts.pop();
+      }
+    } else if (part && part !== ".") {
+      parts.push(part);
+    }
+  });
+  return parts.join(separator);
+}
+
+// The desktop app opens the file next to this one. The web build looks for a
+// library document with that name, as the library's zip export names them.
+async function openLinkedDocument(relativePath) {
+  if (desktop) {
+    if (!currentFilePath) {
+      window.alert("Save this document first, so links relative to it can be followed.");
+      return false;
+    }
+    return openFileInTab(resolveRelativePath(currentFilePath, relativePath));
+  }
+
+  const name = pathBaseName(relativePath).replace(MARKDOWN_FILE, "").toLowerCase();
+  let record;
+  try {
+    record = (await listLibraryDocuments()).find((candidate) => safeFileBase(candidate.title).toLowerCase() === name);
+  } catch (error) {
+    window.alert(`Could not open ${pathBaseName(relativePath)}: ${error.message}`);
+    return false;
+  }
+  if (!record) {
+    window.alert(`There is no document called ${pathBaseName(relativePath)} in the library.`);
+    return false;
+  }
+  await openLibraryDocument(record.id);
+  return Boolean(libraryDocument && libraryDocument.id === record.id);
+}
+
+async function followLink(href) {
+  const url = href.trim();
+  if (url.startsWith("#")) {
+    jumpToAnchor(decodeLinkPart(url.slice(1)));
+    return;
+  }
+
+  if (isRelativeUrl(url)) {
+    const [path, fragment] = url.split("#");
+    const filePath = decodeLinkPart(path.split("?")[0]);
+    if (!MARKDOWN_FILE.test(filePath)) {
+      window.alert(`Only links to markdown files open in the editor, not ${filePath}.`);
+      return;
+    }
+    if ((await openLinkedDocument(filePath)) && fragment) {
+      jumpToAnchor(decodeLinkPart(fragment));
+    }
+    return;
+  }
+
+  if (!SAFE_LINK_PROTOCOL.test(url)) {
+    window.alert(`${url} was not opened: only http, https and mailto links are.`);
+    return;
+  }
+  window.open(url, "_blank", "noopener");
+}
+
+function isRelativeUrl(url) {
+  return Boolean(url) && !/^(?:[a-z][a-z\d+.-]*:|\/|#)/i.test(url);
+}
+
+function documentBaseUrl() {
+  return desktop && currentFilePath ? desktop.toFileUrl(currentFilePath) : null;
+}
+
+// Relative image paths in markdown are relative to the document, not to
+// index.html, so the original path is kept in data-src and src points at the
+// file next to the document.
+function resolveImageSources(root) {
+  const base = documentBaseUrl();
+  root.querySelectorAll("img").forEach((image) => {
+    const original = image.getAttribute("data-src") ?? image.getAttribute("src");
+    if (!isRelativeUrl(original)) {
+      return;
+    }
+
+    image.setAttribute("data-src", original);
+    if (base) {
+      image.setAttribute("src", new URL(original, base).href);
+    }
+  });
+}
+
+function escapeHtmlAttribute(value) {
+  return value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+function markdownDestination(url) {
+  return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+}
+
+function serializeImage(image) {
+  const src = image.getAttribute("data-src") || image.getAttribute("src") || "";
+  const alt = image.getAttribute("alt") || "";
+  const title = image.getAttribute("title");
+  const width = image.getAttribute("width");
+  const height = image.getAttribute("height");
+
+  if (width || height) {
+    const attributes = [`src="${escapeHtmlAttribute(src)}"`, `alt="${escapeHtmlAttribute(alt)}"`];
+    if (width) {
+      attributes.push(`width="${escapeHtmlAttribute(width)}"`);
+    }
+    if (height) {
+      attributes.push(`height="${escapeHtmlAttribute(height)}"`);
+    }
+    if (title) {
+      attributes.push(`title="${escapeHtmlAttribute(title)}"`);
+    }
+    return `<img ${attributes.join(" ")} />`;
+  }
+
+  const escapedAlt = alt.replace(/([\\[\]])/g, "\\$1");
+  const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : "";
+  return `![${escapedAlt}](${markdownDestination(src)}${titlePart})`;
+}
+
+function imageFilesFrom(dataTransfer) {
+  if (!dataTransfer) {
+    return [];
+  }
+  return Array.from(dataTransfer.files || []).filter((file) => file.type.startsWith("image/"));
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener("load", () => resolve(reader.result));
+    reader.addEventListener("error", () => reject(reader.error));
+    reader.readAsDataURL(file);
+  });
+}
+
+function imageFileName(file) {
+  const extension = (file.type.split("/")[1] || "png").replace("jpeg", "jpg").replace(/\+.*$/, "");
+  const name = (file.name || "").trim();
+  if (!name || /^image\.\w+$/i.test(name)) {
+    const stamp = new Date().toISOString().replace(/\D/g, "").slice(0, 14);
+    return `pasted-${stamp}.${extension}`;
+  }
+  return name.replace(/[\\/:*?"<>|]+/g, "-");
+}
+
+function imageAltText(file) {
+  const name = (file.name || "").replace(/\.[^.]+$/, "");
+  return /^image$/i.test(name) ? "" : name;
+}
+
+async function storeImageFile(file) {
+  if (desktop && !currentFilePath && window.confirm("Save the document first so pasted images can be copied next to it?")) {
+    await saveDocument();
+  }
+
+  if (desktop && currentFilePath) {
+    const data = await file.arrayBuffer();
+    const relativePath = await desktop.saveImage(currentFilePath, settings.imageFolder, imageFileName(file), data);
+    return { src: new URL(relativePath, documentBaseUrl()).href, dataSrc: relativePath };
+  }
+
+  return { src: await readFileAsDataUrl(file), dataSrc: null };
+}
+
+async function insertImageFiles(files, range) {
+  const images = [];
+  for (const file of files) {
+    try {
+      const stored = await storeImageFile(file);
+      const image = document.createElement("img");
+      image.setAttribute("src", stored.src);
+      if (stored.dataSrc) {
+        image.setAttribute("data-src", stored.dataSrc);
+      }
+      image.setAttribute("alt", imageAltText(file));
+      images.push(image);
+    } catch (error) {
+      window.alert(`Could not insert ${file.name || "image"}: ${error.message}`);
+    }
+  }
+
+  if (!images.length) {
+    return;
+  }
+
+  editor.focus({ preventScroll: true });
+  const selection = window.getSelection();
+  if (range && editor.contains(range.startContainer)) {
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  const target = selection && selection.rangeCount ? selection.getRangeAt(0) : null;
+  if (!target || !editor.contains(target.startContainer)) {
+    const paragraph = document.createElement("p");
+    paragraph.append(...images);
+    editor.appendChild(paragraph);
+  } else {
+    target.deleteContents();
+    const fragment = document.createDocumentFragment();
+    fragment.append(...images);
+    target.insertNode(fragment);
+  }
+
+  setCaretAfterNode(images[images.length - 1]);
+  recordHistory("edit");
+  scheduleSave();
+}
+
+async function editImageAttributes(image) {
+  const values = await showFormDialog({
+    title: "Image",
+    confirmLabel: "Apply",
+    fields: [
+      { name: "alt", label: "Alt text", value: image.getAttribute("alt") || "" },
+      { name: "width", label: "Width", value: image.getAttribute("width") || "", hint: "Pixels or a percentage; leave empty for the natural size" },
+      { name: "height", label: "Height", value: image.getAttribute("height") || "" }
+    ]
+  });
+  if (!values || !editor.contains(image)) {
+    return;
+  }
+
+  image.setAttribute("alt", values.alt.trim());
+  for (const dimension of ["width", "height"]) {
+    const value = values[dimension].trim();
+    if (value) {
+      image.setAttribute(dimension, value);
+    } else {
+      image.removeAttribute(dimension);
+    }
+  }
+  recordHistory("edit");
+  scheduleSave();
+}
+
+async function configureImageFolder() {
+  const values = await showFormDialog({
+    title: "Image folder",
+    confirmLabel: "Save",
+    fields: [
+      {
+        name: "folder",
+        label: "Folder for pasted and dropped images",
+        value: settings.imageFolder,
+        hint: "Relative to the document, e.g. images or assets/img"
+      }
+    ]
+  });
+  if (!values) {
+    return;
+  }
+
+  const folder = values.folder.trim();
+  if (/^(?:[\\/]|[a-z]:)/i.test(folder) || folder.split(/[\\/]/).includes("..")) {
+    window.alert("The image folder must be inside the document's folder.");
+    return;
+  }
+
+  settings.imageFolder = folder || DEFAULT_SETTINGS.imageFolder;
+  saveSettings();
+}
+
+function isTocBlock(node) {
+  return node instanceof HTMLElement && node.tagName === "NAV" && node.hasAttribute("data-toc");
+}
+
+function createTocBlock() {
+  const toc = document.createElement("nav");
+  toc.className = "toc";
+  toc.setAttribute("data-toc", "true");
+  toc.setAttribute("contenteditable", "false");
+  return toc;
+}
+
+// The YAML is edited as a code block inside a block of its own, which stays
+// at the top of the document and can be folded away.
+function createFrontMatterBlock(yaml, close = "---") {
+  const block = document.createElement("div");
+  block.className = "front-matter";
+  block.setAttribute("contenteditable", "false");
+  block.setAttribute("data-close", close);
+  const pre = createCodeBlock(yaml, "yaml");
+  pre.setAttribute("contenteditable", "true");
+  block.appendChild(pre);
+  return block;
+}
+
+function frontMatterBlock(root = editor) {
+  return root.querySelector(":scope > .front-matter");
+}
+
+// The block a code block sits in at the top level of the editor.
+function codeBlockOuter(pre) {
+  const frontMatter = pre.parentElement;
+  return frontMatter && frontMatter.classList.contains("front-matter") ? frontMatter : pre;
+}
+
+// The folded block shows the title or how many fields there are, and YAML
+// that doesn't parse is flagged with the parser's message.
+function updateFrontMatter() {
+  const block = frontMatterBlock();
+  if (!block) {
+    return;
+  }
+
+  const { data, error } = parseFrontMatter(codeBlockText(block.querySelector("pre")));
+  let summary = "";
+  if (data) {
+    const fields = Object.keys(data).length;
+    summary = typeof data.title === "string" || typeof data.title === "number"
+      ? String(data.title)
+      : `${fields} field${fields === 1 ? "" : "s"}`;
+  }
+
+  let changed = false;
+  [["data-error", error], ["data-summary", error ? null : summary]].forEach(([name, value]) => {
+    if (block.getAttribute(name) === value) {
+      return;
+    }
+    if (value === null) {
+      block.removeAttribute(name);
+    } else {
+      block.setAttribute(name, value);
+    }
+    changed = true;
+  });
+  if (changed) {
+    recordHistory("transparent");
+  }
+}
+
+function toggleFrontMatter(block) {
+  block.toggleAttribute("data-collapsed");
+  recordHistory("transparent");
+  scheduleSave();
+}
+
+function createTaskCheckbox(checked) {
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.className = "task-checkbox";
+  checkbox.setAttribute("contenteditable", "false");
+  checkbox.toggleAttribute("checked", checked);
+  return checkbox;
+}
+
+function isTaskCheckbox(node) {
+  return node instanceof HTMLElement && node.tagName === "INPUT" && node.classList.contains("task-checkbox");
+}
+
+// A task item's checkbox sits at the start of the item, or of its first
+// paragraph when the list is loose.
+function taskCheckbox(item) {
+  return item.querySelector(":scope > .task-checkbox, :scope > p:first-child > .task-checkbox");
+}
+
+// While the source is edited, the outline and the problems come from a copy
+// of it rendered off screen; the editor itself is only rendered again when
+// source mode ends.
+function renderedDocument() {
+  return sourceMode && sourcePreview ? sourcePreview : editor;
+}
+
+function outlineHeadings() {
+  return Array.from(renderedDocument().children).filter((child) => /^H[1-6]$/.test(child.tagName));
+}
+
+function headingLevel(heading) {
+  return Number(heading.tagName.slice(1));
+}
+
+function headingText(heading) {
+  const clone = heading.cloneNode(true);
+  clone.querySelectorAll(".math-token").forEach((token) => token.replaceWith(mathRawForToken(token).raw));
+  return (clone.textContent || "").replace(/\s+/g, " ").trim() || "Untitled";
+}
+
+// A heading's section runs up to the next heading of the same or a higher
+// level, so moving it carries its subsections along.
+function headingSection(heading) {
+  const level = headingLevel(heading);
+  const nodes = [heading];
+  let next = heading.nextSibling;
+  while (next && !(next.parentElement === editor && /^H[1-6]$/.test(next.tagName || "") && headingLevel(next) <= level)) {
+    nodes.push(next);
+    next = next.nextSibling;
+  }
+  return nodes;
+}
+
+function createOutlineEntry(tagName, heading, index) {
+  const entry = document.createElement(tagName);
+  entry.textContent = headingText(heading);
+  entry.setAttribute("data-heading", String(index));
+  entry.setAttribute("data-level", String(headingLevel(heading)));
+  return entry;
+}
+
+function renderTocBlocks(headings) {
+  let changed = false;
+  editor.querySelectorAll("nav[data-toc]").forEach((toc) => {
+    const list = document.createElement("ul");
+    headings.forEach((heading, index) => {
+      const item = document.createElement("li");
+      item.setAttribute("data-level", String(headingLevel(heading)));
+      const link = createOutlineEntry("a", heading, index);
+      link.setAttribute("href", "#");
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    if (toc.innerHTML !== list.outerHTML) {
+      toc.replaceChildren(list);
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+function updateOutline() {
+  const headings = outlineHeadings();
+  if (!sourceMode && renderTocBlocks(headings)) {
+    // Refreshing a table of contents isn't an edit of its own.
+    recordHistory("transparent");
+  }
+
+  const key = JSON.stringify(headings.map((heading) => [heading.tagName, headingText(heading)]));
+  if (key !== outlineKey) {
+    outlineKey = key;
+    outlineList.replaceChildren(...headings.map((heading, index) => {
+      const item = document.createElement("li");
+      const button = createOutlineEntry("button", heading, index);
+      button.type = "button";
+      button.className = "outline-item";
+      button.draggable = true;
+      item.appendChild(button);
+      return item;
+    }));
+    outlineEmpty.hidden = headings.length > 0;
+  }
+  highlightCurrentHeading();
+}
+
+function highlightCurrentHeading() {
+  if (outline.hidden) {
+    return;
+  }
+
+  let current = -1;
+  if (!sourceMode) {
+    outlineHeadings().forEach((heading, index) => {
+      if (heading.getBoundingClientRect().top <= OUTLINE_ACTIVE_OFFSET) {
+        current = index;
+      }
+    });
+  }
+  outlineList.querySelectorAll(".outline-item").forEach((button, index) => {
+    button.classList.toggle("is-active", index === current);
+  });
+}
+
+function mathProblemTokens() {
+  return Array.from(renderedDocument().querySelectorAll(".math-token[data-error]"));
+}
+
+function updateProblems() {
+  const tokens = mathProblemTokens();
+  const key = JSON.stringify(tokens.map((token) => [token.getAttribute("data-tex"), token.title]));
+  if (key !== problemsKey) {
+    problemsKey = key;
+    problemList.replaceChildren(...tokens.map((token, index) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "problem-item";
+      button.setAttribute("data-problem", String(index));
+      button.title = token.title;
+      const source = document.createElement("code");
+      source.textContent = token.getAttribute("data-tex");
+      const message = document.createElement("span");
+      message.textContent = token.getAttribute("data-error");
+      button.append(source, message);
+      item.appendChild(button);
+      return item;
+    }));
+    problemsEmpty.hidden = tokens.length > 0;
+  }
+
+  const button = toolbar.querySelector("[data-action='problems']");
+  if (button) {
+    button.textContent = tokens.length > 0 ? `Problems (${tokens.length})` : "Problems";
+  }
+}
+
+function setProblemsVisible(visible) {
+  problems.hidden = !visible;
+  const button = toolbar.querySelector("[data-action='problems']");
+  if (button) {
+    button.setAttribute("aria-pressed", visible ? "true" : "false");
+  }
+  settings.problemsVisible = visible;
+  saveSettings();
+}
+
+// YAML front matter opens with --- on the very first line, not followed by a
+// blank line, and closes with --- or .... yaml is null without any.
+function splitFrontMatter(markdown) {
+  const match = FRONT_MATTER.exec(markdown);
+  if (!match || (match[1] !== undefined && /^[ \t]*$/.test(match[1].split("\n")[0]))) {
+    return { yaml: null, close: null, body: markdown };
+  }
+  return { yaml: match[1] || "", close: match[2], body: markdown.slice(match[0].length) };
+}
+
+// { data, error }: the fields as an object, or why the YAML can't be used.
+function parseFrontMatter(yaml) {
+  try {
+    const data = jsyaml.load(yaml);
+    if (data != null && (typeof data !== "object" || Array.isArray(data))) {
+      return { data: null, error: "front matter should be a list of key: value fields" };
+    }
+    return { data: data || {}, error: null };
+  } catch (error) {
+    return { data: null, error: error.mark ? `${error.reason} (line ${error.mark.line + 1})` : error.message };
+  }
+}
+
+function frontMatterTitle(markdown) {
+  const { yaml } = splitFrontMatter(markdown);
+  const data = yaml === null ? null : parseFrontMatter(yaml).data;
+  const title = data ? data.title : null;
+  return typeof title === "string" || typeof title === "number" ? String(title).trim() : "";
+}
+
+function setFocusMode(enabled) {
+  document.body.classList.toggle("focus-mode", enabled);
+  settings.focusMode = enabled;
+  saveSettings();
+  updateFocusBlock();
+}
+
+// The block with the caret is picked out by its position rather than a class,
+// so the editor's markup, which is saved and kept for undo, stays the same as
+// the caret moves.
+function updateFocusBlock() {
+  const selection = window.getSelection();
+  const anchor = selection ? selection.anchorNode : null;
+  if (!settings.focusMode) {
+    focusBlockStyle.textContent = "";
+    return;
+  }
+  if (!anchor || !editor.contains(anchor)) {
+    return;
+  }
+
+  const block = nearestEditorChild(anchor);
+  const index = block ? Array.prototype.indexOf.call(editor.children, block) : -1;
+  focusBlockStyle.textContent = index >= 0 ? `.focus-mode .editor > :nth-child(${index + 1}) { opacity: 1; }` : "";
+}
+
+function setTypewriterMode(enabled) {
+  document.body.classList.toggle("typewriter-mode", enabled);
+  settings.typewriterMode = enabled;
+  saveSettings();
+  centerCaret();
+}
+
+function centerCaret() {
+  const selection = window.getSelection();
+  if (!settings.typewriterMode || sourceMode || !selection || selection.rangeCount === 0 || !editor.contains(selection.anchorNode)) {
+    return;
+  }
+
+  const rect = getRangeClientRect(selection.getRangeAt(0));
+  window.scrollBy(0, rect.top + rect.height / 2 - window.innerHeight / 2);
+}
+
+// Hides the toolbar and goes full screen. Only the layout is restored with the
+// session: browsers only go full screen in answer to a key press or click.
+function setDistractionFree(enabled) {
+  settings.distractionFree = enabled;
+  saveSettings();
+  showDistractionFree(enabled);
+}
+
+function isDistractionFree() {
+  return document.body.classList.contains("distraction-free");
+}
+
+function showDistractionFree(enabled) {
+  document.body.classList.toggle("distraction-free", enabled);
+  if (enabled && document.fullscreenEnabled && !document.fullscreenElement) {
+    document.documentElement.requestFullscreen().catch(() => {});
+  } else if (!enabled && document.fullscreenElement) {
+    document.exitFullscreen().catch(() => {});
+  }
+}
+
+// The browser only goes full screen in answer to a click or a key press, so
+// distraction-free mode restored at launch shows its layout at once and waits
+// for the first one. Shortcuts and Escape are left alone, since they may be
+// about to leave the mode.
+function enterFullscreenOnGesture() {
+  const enter = (event) => {
+    if (event.type === "keydown" && (event.metaKey || event.ctrlKey || event.altKey || event.key === "Escape")) {
+      return;
+    }
+
+    window.removeEventListener("pointerdown", enter);
+    window.removeEventListener("keydown", enter);
+    if (isDistractionFree()) {
+      showDistractionFree(true);
+    }
+  };
+  window.addEventListener("pointerdown", enter);
+  window.addEventListener("keydown", enter);
+}
+
+// The front matter's title, or else the text of the first heading. Only the
+// lines up to that heading are looked at, so this is cheap enough to run on
+// every save.
+function markdownTitle(markdown, fallback = "Untitled") {
+  const title = frontMatterTitle(markdown);
+  if (title) {
+    return title;
+  }
+
+  const lines = splitFrontMatter(markdown).body.split("\n");
+  let fence = null;
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const marker = /^ {0,3}(`{3,}|~{3,})/.exec(line);
+    if (marker && (!fence || (marker[1][0] === fence[0] && marker[1].length >= fence.length))) {
+      fence = fence ? null : marker[1];
+      continue;
+    }
+    if (fence) {
+      continue;
+    }
+
+    const atx = /^ {0,3}#{1,6}[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/.exec(line);
+    const setext = line.trim() && /^ {0,3}(?:=+|-+)[ \t]*$/.test(lines[index + 1] || "") && !/^ {0,3}(?:[-*+>]|\d+[.)])[ \t]/.test(line);
+    const source = atx ? atx[1] : setext ? line.trim() : "";
+    const [inline] = source ? md.parseInline(source, {}) : [];
+    const title = inline
+      ? inline.children
+        .filter((child) => ["text", "code_inline", "math"].includes(child.type))
+        .map((child) => child.content)
+        .join("")
+        .trim()
+      : "";
+    if (title) {
+      return title;
+    }
+  }
+  return fallback;
+}
+
+// The editor starts with the copy of the document kept in localStorage. This
+// ties it to its library document, adding one when the library doesn't have
+// it, as on the first run when that copy was the only document there was.
+async function attachLibraryDocument(id) {
+  const record = id == null ? null : await getLibraryDocument(id);
+  const markdown = serializeMarkdown();
+  if (record) {
+    libraryDocument = record;
+    librarySavedMarkdown = record.markdown;
+  } else {
+    const firstRun = (await listLibraryDocuments()).length === 0;
+    const now = Date.now();
+    libraryDocument = await putLibraryDocument({
+      markdown,
+      title: markdownTitle(markdown),
+      createdAt: now,
+      updatedAt: now,
+      ...(firstRun ? { snapshotKey: "local" } : {})
+    });
+    librarySavedMarkdown = markdown;
+  }
+  await saveToLibrary(serializeMarkdown());
+  updateDocumentState();
+}
+
+async function saveToLibrary(markdown) {
+  if (!libraryDocument || markdown === librarySavedMarkdown) {
+    return;
+  }
+
+  librarySavedMarkdown = markdown;
+  libraryDocument = { ...libraryDocument, markdown, title: markdownTitle(markdown), updatedAt: Date.now() };
+  try {
+    await putLibraryDocument(libraryDocument);
+  } catch (error) {
+    librarySavedMarkdown = null;
+    if (!librarySaveFailed) {
+      librarySaveFailed = true;
+      window.alert(`Could not save ${libraryDocument.title} to the library: ${error.message}`);
+    }
+    return;
+  }
+  librarySaveFailed = false;
+}
+
+function showLibraryDocument(record) {
+  libraryDocument = record;
+  librarySavedMarkdown = record.markdown;
+  loadMarkdownDocument(record.markdown, null);
+  storeEditorHtml();
+  window.scrollTo(0, 0);
+  lastSnapshotAt = 0;
+  takeAutoSnapshot();
+}
+
+async function openLibraryDocument(id) {
+  if (libraryDocument && libraryDocument.id === id) {
+    return;
+  }
+
+  await saveToLibrary(serializeMarkdown());
+  let record;
+  try {
+    record = await getLibraryDocument(id);
+  } catch (error) {
+    window.alert(`Could not open the document: ${error.message}`);
+    return;
+  }
+  if (record) {
+    showLibraryDocument(record);
+  }
+}
+
+async function newLibraryDocument(markdown = "") {
+  await saveToLibrary(serializeMarkdown());
+  const now = Date.now();
+  let record;
+  try {
+    record = await putLibraryDocument({ markdown, title: markdownTitle(markdown), createdAt: now, updatedAt: now });
+  } catch (error) {
+    window.alert(`Could not create a document: ${error.message}`);
+    return;
+  }
+  showLibraryDocument(record);
+}
+
+async function duplicateLibraryDocument(id) {
+  await saveToLibrary(serializeMarkdown());
+  try {
+    const record = await getLibraryDocument(id);
+    if (record) {
+      const now = Date.now();
+      await putLibraryDocument({ markdown: record.markdown, title: record.title, createdAt: now, updatedAt: now });
+    }
+  } catch (error) {
+    window.alert(`Could not duplicate the document: ${error.message}`);
+  }
+  await refreshLibrary();
+}
+
+// Deleting the open document opens the most recently edited one left, or a
+// new empty one.
+async function removeLibraryDocument(id) {
+  const record = libraryDocuments.find((candidate) => candidate.id === id);
+  if (!record || !window.confirm(`Delete “${record.title}” from the library? This can't be undone.`)) {
+    return;
+  }
+
+  try {
+    await deleteLibraryDocument(id);
+    if (libraryDocument && libraryDocument.id === id) {
+      libraryDocument = null;
+      const [next] = await listLibraryDocuments();
+      if (next) {
+        showLibraryDocument(next);
+      } else {
+        await newLibraryDocument();
+      }
+    }
+  } catch (error) {
+    window.alert(`Could not delete ${record.title}: ${error.message}`);
+  }
+  await refreshLibrary();
+}
+
+async function refreshLibrary() {
+  try {
+    libraryDocuments = await listLibraryDocuments();
+  } catch (error) {
+    libraryDocuments = [];
+    libraryEmpty.textContent = `The library is unavailable: ${error.message}`;
+    libraryEmpty.hidden = false;
+    libraryList.replaceChildren();
+    return;
+  }
+  renderLibrary();
+}
+
+function renderLibrary() {
+  const query = librarySearch.value.trim();
+  const results = searchLibraryDocuments(libraryDocuments, query);
+  const grid = settings.libraryView === "grid";
+  libraryList.classList.toggle("is-grid", grid);
+  const viewButton = library.querySelector("[data-library-action='view']");
+  viewButton.setAttribute("aria-pressed", grid ? "true" : "false");
+
+  libraryList.replaceChildren(...results.map(({ record, excerpt }) => {
+    const item = document.createElement("li");
+    item.className = "library-item";
+    item.classList.toggle("is-active", Boolean(libraryDocument) && record.id === libraryDocument.id);
+
+    const open = document.createElement("button");
+    open.type = "button";
+    open.className = "library-open";
+    open.setAttribute("data-library-id", String(record.id));
+    const title = document.createElement("strong");
+    title.textContent = record.title;
+    const text = document.createElement("span");
+    text.textContent = excerpt;
+    const date = document.createElement("small");
+    date.textContent = `Edited ${new Date(record.updatedAt).toLocaleString()}`;
+    open.append(title, text, date);
+
+    const actions = document.createElement("div");
+    actions.className = "library-item-actions";
+    for (const [action, label] of [["duplicate", "Duplicate"], ["delete", "Delete"]]) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = label;
+      button.setAttribute("data-library-action", action);
+      button.setAttribute("data-library-id", String(record.id));
+      actions.appendChild(button);
+    }
+
+    item.append(open, actions);
+    return item;
+  }));
+
+  libraryEmpty.textContent = query ? `No documents contain “${query}”` : "No documents";
+  libraryEmpty.hidden = results.length > 0;
+}
+
+async function openLibrary() {
+  await saveToLibrary(serializeMarkdown());
+  await refreshLibrary();
+  if (!library.open) {
+    library.showModal();
+  }
+  librarySearch.focus();
+  librarySearch.select();
+}
+
+async function exportLibrary() {
+  try {
+    await saveToLibrary(serializeMarkdown());
+    const zip = await libraryZip(await listLibraryDocuments());
+    downloadFile(zip, `library-${new Date().toISOString().slice(0, 10)}.zip`, "application/zip");
+  } catch (error) {
+    window.alert(`Could not export the library: ${error.message}`);
+  }
+}
+
+// Markdown files are added as new documents, and so is every markdown file
+// in a zip.
+async function importIntoLibrary(files) {
+  try {
+    for (const file of files) {
+      const entries = /\.zip$/i.test(file.name)
+        ? await readLibraryZip(file)
+        : [{ name: file.name, markdown: await file.text(), updatedAt: file.lastModified || Date.now() }];
+      for (const entry of entries) {
+        await putLibraryDocument({
+          markdown: entry.markdown,
+          title: markdownTitle(entry.markdown, entry.name.replace(LIBRARY_FILE_PATTERN, "")),
+          createdAt: Date.now(),
+          updatedAt: entry.updatedAt
+        });
+      }
+    }
+  } catch (error) {
+    window.alert(`Could not import into the library: ${error.message}`);
+  }
+  await refreshLibrary();
+}
+
+function snapshotDocumentKey() {
+  if (currentFilePath) {
+    return currentFilePath;
+  }
+  return libraryDocument ? libraryDocument.snapshotKey || `library:${libraryDocument.id}` : "local";
+}
+
+// Unnamed automatic versions are skipped when nothing changed since the last one.
+async function takeSnapshot(kind, name = "") {
+  const documentKey = snapshotDocumentKey();
+  const markdown = serializeMarkdown();
+  if (kind === "auto" && !name) {
+    if (!lastSnapshot || lastSnapshot.documentKey !== documentKey) {
+      [lastSnapshot = null] = await listSnapshots(documentKey);
+    }
+    if (lastSnapshot && lastSnapshot.markdown === markdown) {
+      return null;
+    }
+  }
+
+  const snapshot = await addSnapshot({ documentKey, markdown, kind, name });
+  lastSnapshot = snapshot;
+  if (kind === "auto") {
+    await pruneSnapshots(documentKey);
+  }
+  refreshHistory();
+  return snapshot;
+}
+
+function takeAutoSnapshot() {
+  if (!autoSnapshots || Date.now() - lastSnapshotAt < SNAPSHOT_INTERVAL_MS) {
+    return;
+  }
+
+  lastSnapshotAt = Date.now();
+  takeSnapshot("auto").catch((error) => {
+    autoSnapshots = false;
+    window.alert(`Could not keep a version of the document, so automatic versions are off: ${error.message}`);
+  });
+}
+
+async function saveCheckpoint() {
+  const values = await showFormDialog({
+    title: "Save checkpoint",
+    confirmLabel: "Save",
+    fields: [
+      {
+        name: "name",
+        label: "Name",
+        value: new Date().toLocaleString(),
+        hint: "Checkpoints are kept until you delete them."
+      }
+    ]
+  });
+  if (!values) {
+    return;
+  }
+
+  try {
+    await takeSnapshot("checkpoint", values.name.trim() || "Checkpoint");
+  } catch (error) {
+    window.alert(`Could not save the checkpoint: ${error.message}`);
+    return;
+  }
+  setHistoryVisible(true);
+}
+
+function snapshotLabel(snapshot) {
+  return snapshot.name || "Autosave";
+}
+
+async function refreshHistory() {
+  if (historyPanel.hidden) {
+    return;
+  }
+
+  const documentKey = snapshotDocumentKey();
+  historyDocumentKey = documentKey;
+  let snapshots;
+  try {
+    snapshots = await listSnapshots(documentKey);
+  } catch (error) {
+    historySnapshots = [];
+    historyList.replaceChildren();
+    historyEmpty.textContent = `Version history is unavailable: ${error.message}`;
+    historyEmpty.hidden = false;
+    return;
+  }
+  if (documentKey !== snapshotDocumentKey()) {
+    return;
+  }
+
+  historySnapshots = snapshots;
+  historyList.replaceChildren(...snapshots.map((snapshot, index) => {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "history-item";
+    button.classList.toggle("is-checkpoint", snapshot.kind === "checkpoint");
+    button.setAttribute("data-snapshot", String(index));
+    const label = document.createElement("strong");
+    label.textContent = snapshotLabel(snapshot);
+    const time = document.createElement("span");
+    time.textContent = new Date(snapshot.createdAt).toLocaleString();
+    button.append(label, time);
+    item.appendChild(button);
+    return item;
+  }));
+  historyEmpty.textContent = "No versions yet";
+  historyEmpty.hidden = snapshots.length > 0;
+}
+
+function setHistoryVisible(visible) {
+  historyPanel.hidden = !visible;
+  const button = toolbar.querySelector("[data-action='history']");
+  if (button) {
+    button.setAttribute("aria-pressed", visible ? "true" : "false");
+  }
+  settings.historyVisible = visible;
+  saveSettings();
+  refreshHistory();
+}
+
+function renderSnapshotDiff(snapshot) {
+  const lines = diffLines(snapshot.markdown, serializeMarkdown());
+  const added = lines.filter((line) => line.type === "added").length;
+  const removed = lines.filter((line) => line.type === "removed").length;
+  historySummary.textContent = added || removed
+    ? `Since this version: ${added} line${added === 1 ? "" : "s"} added, ${removed} removed. Restoring undoes these changes.`
+    : "This version is the same as the current document.";
+
+  const prefixes = { same: "  ", removed: "- ", added: "+ " };
+  historyDiff.replaceChildren(...collapseDiff(lines).map((line) => {
+    const row = document.createElement("div");
+    row.className = `diff-line is-${line.type}`;
+    row.textContent = line.type === "skipped"
+      ? `⋯ ${line.count} unchanged line${line.count === 1 ? "" : "s"}`
+      : `${prefixes[line.type]}${line.text}`;
+    return row;
+  }));
+}
+
+// Shows what changed since a version, then restores or deletes it.
+async function openSnapshot(index) {
+  const snapshot = historySnapshots[index];
+  if (!snapshot) {
+    return;
+  }
+
+  historyDialogTitle.textContent = `${snapshotLabel(snapshot)}, ${new Date(snapshot.createdAt).toLocaleString()}`;
+  renderSnapshotDiff(snapshot);
+  const action = await new Promise((resolve) => {
+    historyDialog.addEventListener("close", () => resolve(historyDialog.returnValue), { once: true });
+    historyDialog.returnValue = "";
+    historyDialog.showModal();
+  });
+
+  if (action === "restore") {
+    await restoreSnapshot(snapshot);
+  } else if (action === "delete") {
+    try {
+      await deleteSnapshot(snapshot.id);
+    } catch (error) {
+      window.alert(`Could not delete the version: ${error.message}`);
+    }
+    if (lastSnapshot && lastSnapshot.id === snapshot.id) {
+      lastSnapshot = null;
+    }
+    refreshHistory();
+  }
+}
+
+// The document being replaced is kept as a version first, and the restore
+// itself is one undo step.
+async function restoreSnapshot(snapshot) {
+  try {
+    await takeSnapshot("auto", "Before restoring a version");
+  } catch (error) {
+    if (!window.confirm(`Could not keep a version of the current document: ${error.message}\n\nRestore anyway?`)) {
+      return;
+    }
+  }
+
+  if (sourceMode) {
+    sourceEditor.value = snapshot.markdown;
+    resizeSourceEditor();
+    scheduleSave();
+    return;
+  }
+
+  activeMathEdit = null;
+  editor.innerHTML = renderMarkdown(snapshot.markdown);
+  runMathPass(true);
+  updateOutline();
+  updateMathMacros();
+  updateEquationNumbers();
+  updateFootnotes();
+  updateFrontMatter();
+  updateProblems();
+  recordHistory("edit");
+  scheduleSave();
+}
+
+function jumpToSourceMath(token, position) {
+  const index = Array.from(renderedDocument().querySelectorAll(".math-token")).indexOf(token);
+  const span = findMathSpans(sourceEditor.value)[index];
+  if (!span) {
+    return;
+  }
+
+  const offset = span.contentStart + position;
+  sourceEditor.focus({ preventScroll: true });
+  sourceEditor.setSelectionRange(offset, offset);
+  window.scrollBy(0, sourceOffsetTop(span.start) - OUTLINE_ACTIVE_OFFSET / 2);
+}
+
+// Opens the math for editing with the caret at the error.
+function jumpToProblem(index) {
+  const token = mathProblemTokens()[index];
+  if (!token) {
+    return;
+  }
+
+  const position = Number(token.getAttribute("data-error-position") || 0);
+  if (sourceMode) {
+    jumpToSourceMath(token, position);
+    return;
+  }
+
+  window.scrollBy(0, token.getBoundingClientRect().top - OUTLINE_ACTIVE_OFFSET / 2);
+  if (activeMathEdit) {
+    activeMathEdit = null;
+    runMathPass(true);
+  }
+  expandMathTokenWithOffset(token, mathRawForToken(token).delimiterSize + position);
+}
+
+function setOutlineVisible(visible) {
+  outline.hidden = !visible;
+  const button = toolbar.querySelector("[data-action='outline']");
+  if (button) {
+    button.setAttribute("aria-pressed", visible ? "true" : "false");
+  }
+  settings.outlineVisible = visible;
+  saveSettings();
+  highlightCurrentHeading();
+}
+
+function jumpToSourceHeading(index) {
+  const text = sourceEditor.value;
+  const lines = md
+    .parse(text, {})
+    .filter((token) => token.type === "heading_open" && token.level === 0)
+    .map((token) => token.map[0]);
+  if (index >= lines.length) {
+    return;
+  }
+
+  const offset = lineStartOffset(text, lines[index]);
+  sourceEditor.focus({ preventScroll: true });
+  sourceEditor.setSelectionRange(offset, offset);
+  window.scrollBy(0, sourceOffsetTop(offset) - OUTLINE_ACTIVE_OFFSET / 2);
+}
+
+function jumpToHeading(index) {
+  if (sourceMode) {
+    jumpToSourceHeading(index);
+    return;
+  }
+
+  const heading = outlineHeadings()[index];
+  if (!heading) {
+    return;
+  }
+
+  editor.focus({ preventScroll: true });
+  setCaretInsideBlock(heading);
+  window.scrollBy(0, heading.getBoundingClientRect().top - OUTLINE_ACTIVE_OFFSET / 2);
+  highlightCurrentHeading();
+}
+
+function moveHeadingSection(fromIndex, toIndex, after) {
+  const headings = outlineHeadings();
+  const moving = headings[fromIndex];
+  const target = headings[toIndex];
+  if (!moving || !target) {
+    return false;
+  }
+
+  const section = headingSection(moving);
+  if (section.includes(target)) {
+    return false;
+  }
+
+  const targetSection = headingSection(target);
+  const reference = after ? targetSection[targetSection.length - 1].nextSibling : target;
+  if (section.includes(reference)) {
+    return false;
+  }
+
+  section.forEach((node) => editor.insertBefore(node, reference));
+  recordHistory("edit");
+  updateOutline();
+  scheduleSave();
+  return true;
+}
+
+function clearOutlineDropMarkers() {
+  outlineList.querySelectorAll(".drop-before, .drop-after").forEach((button) => {
+    button.classList.remove("drop-before", "drop-after");
+  });
+}
+
+function isFindBlock(element) {
+  return /^(P|DIV|H[1-6]|LI|UL|OL|PRE|BLOCKQUOTE|TABLE|THEAD|TBODY|TR|TH|TD)$/.test(element.tagName);
+}
+
+// Prose is searched as runs of adjacent text nodes within one block, so a
+// match may cross inline formatting; math tokens are searched by their TeX.
+function collectFindTargets() {
+  const targets = [];
+  let run = null;
+
+  const visit = (parent, block) => {
+    for (const child of parent.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        if (!run) {
+          run = { kind: "text", block, text: "", nodes: [] };
+          targets.push(run);
+        }
+        run.nodes.push({ node: child, start: run.text.length });
+        run.text += child.nodeValue || "";
+      } else if (isMathTokenNode(child)) {
+        run = null;
+        targets.push({ kind: "math", token: child, text: child.getAttribute("data-tex") || "" });
+      } else if (child instanceof HTMLElement && !isTocBlock(child)) {
+        if (child.tagName === "BR" || isFindBlock(child)) {
+          run = null;
+        }
+        visit(child, isFindBlock(child) ? child : block);
+        if (isFindBlock(child)) {
+          run = null;
+        }
+      }
+    }
+  };
+
+  visit(editor, editor);
+  return targets;
+}
+
+function findPattern() {
+  const query = findInput.value;
+  if (!query) {
+    return null;
+  }
+
+  let source = findOptions.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  if (findOptions.wholeWord) {
+    source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+  }
+  return new RegExp(source, findOptions.caseSensitive ? "gu" : "giu");
+}
+
+function matchesInText(text, pattern) {
+  const matches = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (!match[0]) {
+      pattern.lastIndex += 1;
+      continue;
+    }
+    matches.push({ start: match.index, end: match.index + match[0].length, match });
+  }
+  return matches;
+}
+
+function runPosition(run, offset, atEnd) {
+  for (let index = run.nodes.length - 1; index >= 0; index -= 1) {
+    const { node, start } = run.nodes[index];
+    if (atEnd ? start < offset : start <= offset) {
+      return { node, offset: offset - start };
+    }
+  }
+  return { node: run.nodes[0].node, offset: 0 };
+}
+
+function collectFindMatches(pattern) {
+  if (sourceMode) {
+    return matchesInText(sourceEditor.value, pattern).map((found) => ({ kind: "source", ...found }));
+  }
+
+  const matches = [];
+  for (const target of collectFindTargets()) {
+    for (const found of matchesInText(target.text, pattern)) {
+      const range = document.createRange();
+      if (target.kind === "math") {
+        range.selectNode(target.token);
+        matches.push({ kind: "math", token: target.token, range, ...found });
+      } else {
+        const start = runPosition(target, found.start, false);
+        const end = runPosition(target, found.end, true);
+        range.setStart(start.node, start.offset);
+        range.setEnd(end.node, end.offset);
+        matches.push({ kind: "text", range, ...found });
+      }
+    }
+  }
+  return matches;
+}
+
+function paintFindHighlights() {
+  if (!window.CSS || !CSS.highlights || typeof Highlight === "undefined") {
+    return;
+  }
+
+  CSS.highlights.delete("find-match");
+  CSS.highlights.delete("find-current");
+  if (findBar.hidden || sourceMode) {
+    return;
+  }
+
+  CSS.highlights.set("find-match", new Highlight(...findState.matches.map((found) => found.range)));
+  const current = findState.matches[findState.index];
+  if (current) {
+    CSS.highlights.set("find-current", new Highlight(current.range));
+  }
+}
+
+function updateFindCount() {
+  findBar.classList.toggle("has-error", Boolean(findState.error));
+  if (findState.error) {
+    findCount.textContent = "Invalid pattern";
+  } else if (!findInput.value) {
+    findCount.textContent = "";
+  } else if (!findState.matches.length) {
+    findCount.textContent = "No results";
+  } else {
+    findCount.textContent = `${findState.index + 1} of ${findState.matches.length}`;
+  }
+}
+
+function runFind(keepIndex = false) {
+  let pattern = null;
+  findState.error = null;
+  try {
+    pattern = findPattern();
+  } catch (error) {
+    findState.error = error.message;
+  }
+
+  const previous = findState.index;
+  findState.matches = pattern ? collectFindMatches(pattern) : [];
+  findState.index = findState.matches.length
+    ? Math.min(keepIndex ? Math.max(previous, 0) : 0, findState.matches.length - 1)
+    : -1;
+  paintFindHighlights();
+  updateFindCount();
+}
+
+function revealFindMatch() {
+  const current = findState.matches[findState.index];
+  if (!current) {
+    return;
+  }
+
+  if (current.kind === "source") {
+    sourceEditor.setSelectionRange(current.start, current.end);
+    const top = sourceOffsetTop(current.start);
+    if (top < 0 || top > window.innerHeight - 40) {
+      window.scrollBy(0, top - window.innerHeight / 3);
+    }
+    return;
+  }
+
+  const rect = current.range.getBoundingClientRect();
+  if (rect.top < 0 || rect.bottom > window.innerHeight) {
+    window.scrollBy(0, rect.top - window.innerHeight / 3);
+  }
+}
+
+function stepFind(direction) {
+  if (!findState.matches.length) {
+    return;
+  }
+
+  const count = findState.matches.length;
+  findState.index = (findState.index + direction + count) % count;
+  paintFindHighlights();
+  updateFindCount();
+  revealFindMatch();
+}
+
+function openFindBar(withReplace) {
+  const selection = window.getSelection();
+  const selected = sourceMode
+    ? sourceEditor.value.slice(sourceEditor.selectionStart, sourceEditor.selectionEnd)
+    : selection && editor.contains(selection.anchorNode) ? selection.toString() : "";
+  if (selected && !selected.includes("\n")) {
+    findInput.value = selected;
+  }
+
+  findBar.hidden = false;
+  replaceRow.hidden = !withReplace;
+  findInput.focus();
+  findInput.select();
+  runFind();
+  revealFindMatch();
+}
+
+function closeFindBar() {
+  const current = findState.matches[findState.index];
+  findBar.hidden = true;
+  paintFindHighlights();
+  findState.matches = [];
+  findState.index = -1;
+
+  if (sourceMode) {
+    sourceEditor.focus({ preventScroll: true });
+    return;
+  }
+
+  editor.focus({ preventScroll: true });
+  if (current && current.kind === "text" && !current.range.collapsed) {
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(current.range);
+  } else if (current && current.kind === "math" && editor.contains(current.token)) {
+    setCaretAfterNode(current.token);
+  }
+}
+
+function expandReplacement(template, match) {
+  if (!findOptions.regex) {
+    return template;
+  }
+
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (whole, token, name) => {
+    if (token === "$") {
+      return "$";
+    }
+    if (token === "&") {
+      return match[0];
+    }
+    if (name !== undefined) {
+      return (match.groups && match.groups[name]) ?? "";
+    }
+    return match[Number(token)] ?? "";
+  });
+}
+
+// Applies replacements last to first so earlier offsets and ranges stay valid,
+// then re-renders every math token and code block that changed.
+function applyReplacements(matches) {
+  const replacement = replaceInput.value;
+
+  if (sourceMode) {
+    let text = sourceEditor.value;
+    for (const found of [...matches].reverse()) {
+      text = `${text.slice(0, found.start)}${expandReplacement(replacement, found.match)}${text.slice(found.end)}`;
+    }
+    sourceEditor.focus({ preventScroll: true });
+    sourceEditor.setSelectionRange(0, sourceEditor.value.length);
+    if (!document.execCommand("insertText", false, text) || sourceEditor.value !== text) {
+      sourceEditor.value = text;
+    }
+    resizeSourceEditor();
+    scheduleSave();
+    return;
+  }
+
+  const tokens = new Map();
+  const codeBlocks = new Set();
+  for (const found of [...matches].reverse()) {
+    const value = expandReplacement(replacement, found.match);
+    if (found.kind === "math") {
+      const tex = tokens.get(found.token) ?? (found.token.getAttribute("data-tex") || "");
+      tokens.set(found.token, `${tex.slice(0, found.start)}${value}${tex.slice(found.end)}`);
+      continue;
+    }
+
+    const pre = codeBlockFromNode(found.range.startContainer);
+    if (pre) {
+      codeBlocks.add(pre);
+    }
+    found.range.deleteContents();
+    if (value) {
+      found.range.insertNode(document.createTextNode(value));
+    }
+  }
+
+  tokens.forEach((tex, token) => {
+    token.replaceWith(
+      createMathToken(tex, token.getAttribute("data-display") === "true", token.getAttribute("data-delimiter"))
+    );
+  });
+  codeBlocks.forEach((pre) => renderCodeBlock(pre, codeBlockText(pre)));
+  editor.normalize();
+  recordHistory("edit");
+  scheduleSave();
+}
+
+function replaceCurrentMatch() {
+  runFind(true);
+  const current = findState.matches[findState.index];
+  if (!current) {
+    return;
+  }
+
+  const index = findState.index;
+  applyReplacements([current]);
+  runFind();
+  findState.index = findState.matches.length ? index % findState.matches.length : -1;
+  paintFindHighlights();
+  updateFindCount();
+  revealFindMatch();
+  if (sourceMode) {
+    replaceInput.focus();
+  }
+}
+
+function replaceAllMatches() {
+  runFind(true);
+  if (!findState.matches.length) {
+    return;
+  }
+
+  applyReplacements(findState.matches);
+  runFind();
+  if (sourceMode) {
+    replaceInput.focus();
+  }
+}
+
+function runFindAction(action) {
+  if (action === "next" || action === "previous") {
+    stepFind(action === "next" ? 1 : -1);
+  } else if (action === "replace") {
+    replaceCurrentMatch();
+  } else if (action === "replace-all") {
+    replaceAllMatches();
+  } else if (action === "close") {
+    closeFindBar();
+  }
+}
+
+function createDocumentRecord(filePath, loaded = true) {
+  nextDocumentId += 1;
+  return {
+    id: nextDocumentId,
+    filePath,
+    loaded,
+    dirty: false,
+    cleanMarkdown: null,
+    html: "",
+    selection: null,
+    history: null,
+    scrollY: 0,
+    sourceText: null
+  };
+}
+
+function pathBaseName(filePath) {
+  return filePath.split(/[\\/]/).pop();
+}
+
+function isInsidePath(filePath, folderPath) {
+  return filePath === folderPath || (filePath.startsWith(folderPath) && /[\\/]/.test(filePath.charAt(folderPath.length)));
+}
+
+function findDocument(filePath) {
+  return openDocuments.find((record) => record.filePath === filePath) || null;
+}
+
+function hasUnsavedDocuments() {
+  return openDocuments.some((record) => (record === activeDocument ? documentDirty : record.dirty));
+}
+
+// Copies the editor and the globals that describe the active document into
+// its record so another document can take over the editor.
+function stashActiveDocument() {
+  clearTimeout(saveTimer);
+  if (activeMathEdit) {
+    activeMathEdit = null;
+    runMathPass(true);
+  }
+  if (sourceMode) {
+    editor.innerHTML = renderMarkdown(sourceEditor.value);
+  }
+  updateDocumentState();
+
+  Object.assign(activeDocument, {
+    html: editorHtml(),
+    selection: captureSelection(),
+    history: { ...editHistory },
+    cleanMarkdown,
+    scrollY: window.scrollY,
+    sourceText: sourceMode ? sourceEditor.value : null
+  });
+}
+
+function showDocument(record) {
+  activeDocument = record;
+  currentFilePath = record.filePath;
+  cleanMarkdown = record.cleanMarkdown;
+  editor.innerHTML = record.html;
+  resolveImageSources(editor);
+  activeMathEdit = null;
+  lastInputRule = null;
+  Object.assign(editHistory, record.history);
+
+  if (sourceMode) {
+    sourceEditor.value = record.sourceText ?? editorMarkdown();
+    resizeSourceEditor();
+    updateSourceWarnings();
+  } else {
+    editor.focus({ preventScroll: true });
+    restoreSelection(record.selection);
+  }
+
+  updateOutline();
+  updateMathMacros();
+  updateEquationNumbers();
+  updateFootnotes();
+  updateFrontMatter();
+  updateProblems();
+  if (!findBar.hidden) {
+    runFind();
+  }
+  storeEditorHtml();
+  updateDocumentState();
+  window.scrollTo(0, record.scrollY);
+  updateMathPreview();
+  updateCodeTools();
+  updateTableTools();
+}
+
+function loadDocumentRecord(record, text) {
+  activeDocument = record;
+  loadMarkdownDocument(text, record.filePath);
+  record.loaded = true;
+  storeEditorHtml();
+  window.scrollTo(0, 0);
+  if (!sourceMode) {
+    editor.focus({ preventScroll: true });
+    setCaretInsideBlock(editor.firstElementChild || editor);
+  }
+}
+
+async function activateDocument(record) {
+  if (record === activeDocument) {
+    return true;
+  }
+
+  let text = null;
+  if (!record.loaded) {
+    try {
+      text = await desktop.readFile(record.filePath);
+    } catch (error) {
+      window.alert(`Could not open ${pathBaseName(record.filePath)}: ${error.message}`);
+      return false;
+    }
+  }
+
+  stashActiveDocument();
+  if (text === null) {
+    showDocument(record);
+  } else {
+    loadDocumentRecord(record, text);
+  }
+  return true;
+}
+
+// An untouched untitled tab is reused instead of piling up next to the new one.
+function addDocumentTab(record, text) {
+  const index = openDocuments.indexOf(activeDocument);
+  if (!activeDocument.filePath && !documentDirty) {
+    openDocuments.splice(index, 1, record);
+  } else {
+    stashActiveDocument();
+    openDocuments.splice(index + 1, 0, record);
+  }
+  loadDocumentRecord(record, text);
+}
+
+async function openFileInTab(filePath, content = null) {
+  const existing = findDocument(filePath);
+  if (existing) {
+    return activateDocument(existing);
+  }
+
+  let text = content;
+  if (text === null) {
+    try {
+      text = await desktop.readFile(filePath);
+    } catch (error) {
+      window.alert(`Could not open ${pathBaseName(filePath)}: ${error.message}`);
+      return false;
+    }
+  }
+
+  addDocumentTab(createDocumentRecord(filePath), text);
+  return true;
+}
+
+function newDocumentTab() {
+  stashActiveDocument();
+  const record = createDocumentRecord(null);
+  openDocuments.splice(openDocuments.indexOf(activeDocument) + 1, 0, record);
+  loadDocumentRecord(record, "");
+}
+
+async function closeDocumentTab(record = activeDocument) {
+  const dirty = record === activeDocument ? documentDirty : record.dirty;
+  const name = record.filePath ? pathBaseName(record.filePath) : "Untitled";
+  if (dirty && !window.confirm(`Discard unsaved changes to ${name}?`)) {
+    return false;
+  }
+
+  const index = openDocuments.indexOf(record);
+  if (record !== activeDocument) {
+    openDocuments.splice(index, 1);
+    updateDocumentState();
+    return true;
+  }
+
+  const neighbour = openDocuments[index + 1] || openDocuments[index - 1];
+  if (neighbour && !(await activateDocument(neighbour))) {
+    return false;
+  }
+
+  openDocuments.splice(openDocuments.indexOf(record), 1);
+  if (!neighbour) {
+    const replacement = createDocumentRecord(null);
+    openDocuments.push(replacement);
+    loadDocumentRecord(replacement, "");
+  }
+  updateDocumentState();
+  return true;
+}
+
+function cycleDocumentTab(step) {
+  if (openDocuments.length < 2) {
+    return;
+  }
+
+  const index = openDocuments.indexOf(activeDocument);
+  activateDocument(openDocuments[(index + step + openDocuments.length) % openDocuments.length]);
+}
+
+async function saveAllDocuments() {
+  for (const record of [...openDocuments]) {
+    const dirty = record === activeDocument ? documentDirty : record.dirty;
+    if (dirty && !((await activateDocument(record)) && (await saveDocument()))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function renderDocumentTabs() {
+  documentTabs.hidden = !desktop;
+  if (!desktop) {
+    return;
+  }
+
+  documentTabs.replaceChildren(...openDocuments.map((record) => {
+    const dirty = record === activeDocument ? documentDirty : record.dirty;
+    const name = record.filePath ? pathBaseName(record.filePath) : "Untitled";
+    const tab = document.createElement("div");
+    tab.className = "document-tab";
+    tab.classList.toggle("is-active", record === activeDocument);
+    tab.setAttribute("role", "tab");
+    tab.setAttribute("aria-selected", record === activeDocument ? "true" : "false");
+    tab.setAttribute("data-document", String(record.id));
+    tab.title = record.filePath || name;
+
+    const label = document.createElement("span");
+    label.className = "document-tab-name";
+    label.textContent = `${dirty ? "• " : ""}${name}`;
+
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "document-tab-close";
+    close.setAttribute("aria-label", `Close ${name}`);
+    close.textContent = "×";
+
+    tab.append(label, close);
+    return tab;
+  }));
+}
+
+function setWorkspaceTree(folderPath, tree) {
+  workspaceFolder = folderPath;
+  workspaceTree = tree;
+  filePanel.hidden = false;
+  filePanelTitle.textContent = pathBaseName(folderPath);
+  filePanelTitle.title = folderPath;
+  renderFileTree();
+  updateDocumentState();
+}
+
+async function openWorkspaceFolder() {
+  let result;
+  try {
+    result = await desktop.openFolder();
+  } catch (error) {
+    window.alert(`Could not open folder: ${error.message}`);
+    return;
+  }
+
+  if (result) {
+    expandedFolders.clear();
+    selectedTreePath = null;
+    setWorkspaceTree(result.folderPath, result.tree);
+  }
+}
+
+async function refreshFileTree() {
+  if (!workspaceFolder) {
+    return;
+  }
+
+  try {
+    setWorkspaceTree(workspaceFolder, await desktop.readFolder(workspaceFolder));
+  } catch (error) {
+    window.alert(`Could not read ${pathBaseName(workspaceFolder)}: ${error.message}`);
+  }
+}
+
+function createTreeItem(entry, depth) {
+  const item = document.createElement("li");
+  item.setAttribute("role", "treeitem");
+
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "tree-item";
+  button.style.setProperty("--depth", String(depth));
+  button.setAttribute("data-path", entry.path);
+  button.setAttribute("data-type", entry.type);
+  button.classList.toggle("is-selected", entry.path === selectedTreePath);
+  button.classList.toggle("is-active", entry.path === currentFilePath);
+  item.appendChild(button);
+
+  if (entry.type === "directory") {
+    const expanded = expandedFolders.has(entry.path);
+    item.setAttribute("aria-expanded", expanded ? "true" : "false");
+    button.textContent = `${expanded ? "▾" : "▸"} ${entry.name}`;
+    if (expanded && entry.children.length) {
+      const group = document.createElement("ul");
+      group.setAttribute("role", "group");
+      group.append(...entry.children.map((child) => createTreeItem(child, depth + 1)));
+      item.appendChild(group);
+    }
+  } else {
+    button.textContent = entry.name;
+  }
+  return item;
+}
+
+function renderFileTree() {
+  if (!workspaceFolder) {
+    return;
+  }
+  fileTree.replaceChildren(...workspaceTree.map((entry) => createTreeItem(entry, 0)));
+}
+
+function findTreeEntry(targetPath, entries = workspaceTree, parent = null) {
+  for (const entry of entries) {
+    if (entry.path === targetPath) {
+      return { entry, parent };
+    }
+    if (entry.type === "directory") {
+      const found = findTreeEntry(targetPath, entry.children, entry);
+      if (found) {
+        return found;
+      }
+    }
+  }
+  return null;
+}
+
+function selectedTreeDirectory() {
+  const found = selectedTreePath ? findTreeEntry(selectedTreePath) : null;
+  if (!found) {
+    return workspaceFolder;
+  }
+  if (found.entry.type === "directory") {
+    return found.entry.path;
+  }
+  return found.parent ? found.parent.path : workspaceFolder;
+}
+
+async function createWorkspaceEntry(type) {
+  const directory = selectedTreeDirectory();
+  const values = await showFormDialog({
+    title: type === "file" ? "New file" : "New folder",
+    confirmLabel: "Create",
+    fields: [
+      {
+        name: "name",
+        label: "Name",
+        value: type === "file" ? "Untitled.md" : "",
+        hint: `In ${pathBaseName(directory)}`
+      }
+    ]
+  });
+  if (!values || !values.name.trim()) {
+    return;
+  }
+
+  let createdPath;
+  try {
+    createdPath = type === "file"
+      ? await desktop.createFile(directory, values.name)
+      : await desktop.createFolder(directory, values.name);
+  } catch (error) {
+    window.alert(`Could not create ${values.name}: ${error.message}`);
+    return;
+  }
+
+  if (directory !== workspaceFolder) {
+    expandedFolders.add(directory);
+  }
+  selectedTreePath = createdPath;
+  await refreshFileTree();
+  if (type === "file") {
+    await openFileInTab(createdPath, "");
+  }
+}
+
+function movePathPrefix(filePath, oldPath, newPath) {
+  return filePath && isInsidePath(filePath, oldPath) ? newPath + filePath.slice(oldPath.length) : filePath;
+}
+
+async function renameWorkspaceEntry() {
+  const found = selectedTreePath ? findTreeEntry(selectedTreePath) : null;
+  if (!found) {
+    return;
+  }
+
+  const values = await showFormDialog({
+    title: `Rename ${found.entry.type === "file" ? "file" : "folder"}`,
+    confirmLabel: "Rename",
+    fields: [{ name: "name", label: "Name", value: found.entry.name }]
+  });
+  if (!values || !values.name.trim() || values.name.trim() === found.entry.name) {
+    return;
+  }
+
+  const oldPath = found.entry.path;
+  let newPath;
+  try {
+    newPath = await desktop.renamePath(oldPath, values.name);
+  } catch (error) {
+    window.alert(`Could not rename ${found.entry.name}: ${error.message}`);
+    return;
+  }
+
+  for (const record of openDocuments) {
+    record.filePath = movePathPrefix(record.filePath, oldPath, newPath);
+  }
+  if (currentFilePath !== activeDocument.filePath) {
+    currentFilePath = activeDocument.filePath;
+    resolveImageSources(editor);
+  }
+  for (const folder of [...expandedFolders]) {
+    if (isInsidePath(folder, oldPath)) {
+      expandedFolders.delete(folder);
+      expandedFolders.add(movePathPrefix(folder, oldPath, newPath));
+    }
+  }
+  selectedTreePath = newPath;
+  await refreshFileTree();
+}
+
+// Open documents whose file went to the trash stay open as unsaved copies.
+async function deleteWorkspaceEntry() {
+  const found = selectedTreePath ? findTreeEntry(selectedTreePath) : null;
+  if (!found || !window.confirm(`Move ${found.entry.name} to the trash?`)) {
+    return;
+  }
+
+  const targetPath = found.entry.path;
+  try {
+    await desktop.deletePath(targetPath);
+  } catch (error) {
+    window.alert(`Could not delete ${found.entry.name}: ${error.message}`);
+    return;
+  }
+
+  for (const record of openDocuments) {
+    if (record.filePath && isInsidePath(record.filePath, targetPath)) {
+      record.filePath = null;
+      record.cleanMarkdown = null;
+      record.dirty = true;
+    }
+  }
+  if (currentFilePath && !activeDocument.filePath) {
+    currentFilePath = null;
+    cleanMarkdown = null;
+  }
+  selectedTreePath = found.parent ? found.parent.path : null;
+  await refreshFileTree();
+}
+
+function runFileAction(action) {
+  if (action === "new-file" || action === "new-folder") {
+    createWorkspaceEntry(action === "new-file" ? "file" : "directory");
+  } else if (action === "rename") {
+    renameWorkspaceEntry();
+  } else if (action === "delete") {
+    deleteWorkspaceEntry();
+  } else if (action === "refresh") {
+    refreshFileTree();
+  }
+}
+
+async function restoreWorkspace(savedSession) {
+  const openFiles = Array.isArray(savedSession.openFiles) ? savedSession.openFiles : [];
+  const records = openFiles.map((filePath) =>
+    filePath === currentFilePath ? activeDocument : createDocumentRecord(filePath, false)
+  );
+  if (!records.includes(activeDocument)) {
+    records.push(activeDocument);
+  }
+  openDocuments.splice(0, openDocuments.length, ...records);
+  updateDocumentState();
+
+  if (savedSession.folderPath) {
+    try {
+      setWorkspaceTree(savedSession.folderPath, await desktop.readFolder(savedSession.folderPath));
+    } catch {
+      workspaceFolder = null;
+      updateDocumentState();
+    }
+  }
+}
+
+function markdownBlockLines(markdown) {
+  return md
+    .parse(markdown, {})
+    .filter((token) => token.level === 0 && token.nesting >= 0 && token.map)
+    .map((token) => token.map[0]);
+}
+
+function lineStartOffset(text, line) {
+  let offset = 0;
+  for (let index = 0; index < line; index += 1) {
+    const next = text.indexOf("\n", offset);
+    if (next === -1) {
+      return text.length;
+    }
+    offset = next + 1;
+  }
+  return offset;
+}
+
+function lineAtOffset(text, offset) {
+  return text.slice(0, offset).split("\n").length - 1;
+}
+
+function caretOrVisibleBlockIndex() {
+  const blocks = Array.from(editor.children);
+  const range = getCollapsedEditorRange();
+  const caretBlock = range ? nearestEditorChild(range.startContainer) : null;
+  if (caretBlock) {
+    return blocks.indexOf(caretBlock);
+  }
+
+  const visible = blocks.findIndex((block) => block.getBoundingClientRect().bottom > 0);
+  return Math.max(0, visible);
+}
+
+function resizeSourceEditor() {
+  sourceEditor.style.height = "auto";
+  sourceEditor.style.height = `${sourceEditor.scrollHeight}px`;
+}
+
+function sourceOffsetTop(offset) {
+  // Wrapped lines make line * lineHeight drift, so measure the text up to the
+  // offset in an invisible copy of the textarea instead.
+  const style = window.getComputedStyle(sourceEditor);
+  const mirror = document.createElement("div");
+  for (const property of ["fontFamily", "fontSize", "lineHeight", "padding", "border", "letterSpacing", "tabSize"]) {
+    mirror.style[property] = style[property];
+  }
+  mirror.style.position = "absolute";
+  mirror.style.visibility = "hidden";
+  mirror.style.whiteSpace = "pre-wrap";
+  mirror.style.overflowWrap = "break-word";
+  mirror.style.boxSizing = "border-box";
+  mirror.style.width = `${sourceEditor.clientWidth}px`;
+  mirror.textContent = sourceEditor.value.slice(0, offset);
+  document.body.appendChild(mirror);
+  const height = mirror.scrollHeight - Number.parseFloat(style.paddingBottom || "0");
+  mirror.remove();
+  return sourceEditor.getBoundingClientRect().top + Math.max(0, height - Number.parseFloat(style.lineHeight || "0"));
+}
+
+function describeLossyLine(line, nextLine = "") {
+  if (/^\s{0,3}(?:=+|-+)\s*$/.test(nextLine)) {
+    return "setext heading";
+  }
+  if (/^\s*<[a-z!/]/i.test(line)) {
+    return "raw HTML";
+  }
+  if (/^\s{0,3}\[[^\]]+\]:\s/.test(line)) {
+    return "reference link definition";
+  }
+  if (/^\s{0,3}(?:=+|-+)\s*$/.test(line)) {
+    return "setext heading underline";
+  }
+  if (/^\s*[*+]\s/.test(line)) {
+    return "list marker";
+  }
+  if (/^\s{4,}\S/.test(line)) {
+    return "indented code or continuation";
+  }
+  return "formatting";
+}
+
+function sourceRoundTripWarnings(text, container = null) {
+  if (!container) {
+    container = document.createElement("div");
+    container.innerHTML = renderMarkdown(text);
+  }
+  const produced = new Map();
+  for (const line of serializeMarkdownFrom(container).split("\n")) {
+    const key = line.trimEnd();
+    produced.set(key, (produced.get(key) || 0) + 1);
+  }
+
+  const warnings = [];
+  const lines = text.split("\n");
+  lines.forEach((line, index) => {
+    const key = line.trimEnd();
+    if (!key.trim()) {
+      return;
+    }
+
+    const count = produced.get(key) || 0;
+    if (count > 0) {
+      produced.set(key, count - 1);
+      return;
+    }
+
+    warnings.push({ line: index + 1, text: key, reason: describeLossyLine(key, lines[index + 1]) });
+  });
+  return warnings;
+}
+
+function formatSourceWarning(warning) {
+  const preview = warning.text.length > 48 ? `${warning.text.slice(0, 47)}…` : warning.text;
+  return `Line ${warning.line} (${warning.reason}): ${preview.trim()}`;
+}
+
+// Rendering the source takes a full markdown and turndown pass over the
+// document, so it waits until typing pauses and the browser is idle.
+function scheduleSourceCheck() {
+  clearTimeout(sourceCheckTimer);
+  sourceCheckTimer = whenIdle(() => {
+    if (sourceMode) {
+      updateSourceWarnings();
+    }
+  }, SOURCE_CHECK_DEBOUNCE_MS);
+}
+
+function updateSourceWarnings() {
+  clearTimeout(sourceCheckTimer);
+  sourcePreview = null;
+  let warnings = [];
+  if (sourceMode) {
+    sourcePreview = document.createElement("div");
+    sourcePreview.innerHTML = renderMarkdown(sourceEditor.value);
+    warnings = sourceRoundTripWarnings(sourceEditor.value, sourcePreview);
+    storeLocally(STORAGE_KEY, sourcePreview.innerHTML);
+    updateOutline();
+    updateProblems();
+  }
+  sourceWarnings.hidden = warnings.length === 0;
+  if (!warnings.length) {
+    sourceWarnings.textContent = "";
+    return warnings;
+  }
+
+  const title = document.createElement("strong");
+  title.textContent = `${warnings.length} line${warnings.length === 1 ? "" : "s"} will be rewritten when you leave source mode`;
+  const list = document.createElement("ul");
+  for (const warning of warnings.slice(0, 5)) {
+    const item = document.createElement("li");
+    item.textContent = formatSourceWarning(warning);
+    list.appendChild(item);
+  }
+  if (warnings.length > 5) {
+    const item = document.createElement("li");
+    item.textContent = `…and ${warnings.length - 5} more`;
+    list.appendChild(item);
+  }
+  sourceWarnings.replaceChildren(title, list);
+  return warnings;
+}
+
+function setToolbarSourceMode(enabled) {
+  toolbar.querySelectorAll("button").forEach((button) => {
+    const action = button.getAttribute("data-action");
+    if (!["source", "outline", "problems", "history", "appearance"].includes(action) && !(action || "").startsWith("export-")) {
+      button.disabled = enabled;
+    }
+    if (action === "source") {
+      button.setAttribute("aria-pressed", enabled ? "true" : "false");
+    }
+  });
+}
+
+function enterSourceMode() {
+  activeMathEdit = null;
+  runMathPass(true);
+
+  const blockIndex = caretOrVisibleBlockIndex();
+  const anchorBlock = editor.children[blockIndex];
+  const anchorTop = anchorBlock ? anchorBlock.getBoundingClientRect().top : 0;
+  const markdown = editorMarkdown();
+
+  sourceMode = true;
+  sourceEditor.value = markdown;
+  editor.hidden = true;
+  sourceEditor.hidden = false;
+  setToolbarSourceMode(true);
+  hideMathPreview();
+  updateSourceWarnings();
+  resizeSourceEditor();
+
+  const lines = markdownBlockLines(markdown);
+  const line = lines.length ? lines[Math.min(blockIndex, lines.length - 1)] : 0;
+  const offset = lineStartOffset(markdown, line);
+  sourceEditor.focus({ preventScroll: true });
+  sourceEditor.setSelectionRange(offset, offset);
+  window.scrollBy(0, sourceOffsetTop(offset) - anchorTop);
+}
+
+function leaveSourceMode() {
+  const text = sourceEditor.value;
+  const warnings = sourceRoundTripWarnings(text);
+  if (
+    warnings.length &&
+    !window.confirm(
+      `Some markdown will be rewritten by the rich text editor:\n\n${warnings
+        .slice(0, 5)
+        .map(formatSourceWarning)
+        .join("\n")}${warnings.length > 5 ? `\n…and ${warnings.length - 5} more` : ""}\n\nLeave source mode anyway?`
+    )
+  ) {
+    return;
+  }
+
+  const caretOffset = sourceEditor.selectionStart;
+  const caretLine = lineAtOffset(text, caretOffset);
+  const anchorTop = sourceOffsetTop(caretOffset);
+  const lines = markdownBlockLines(text);
+  let blockIndex = 0;
+  lines.forEach((line, index) => {
+    if (line <= caretLine) {
+      blockIndex = index;
+    }
+  });
+
+  sourceMode = false;
+  clearTimeout(sourceCheckTimer);
+  sourcePreview = null;
+  editor.innerHTML = renderMarkdown(text);
+  sourceEditor.hidden = true;
+  sourceWarnings.hidden = true;
+  editor.hidden = false;
+  setToolbarSourceMode(false);
+  runMathPass(true);
+  recordHistory("edit");
+
+  const block = editor.children[Math.min(blockIndex, editor.children.length - 1)];
+  editor.focus({ preventScroll: true });
+  if (block) {
+    setCaretInsideBlock(block);
+    window.scrollBy(0, block.getBoundingClientRect().top - anchorTop);
+  }
+  scheduleSave();
+}
+
+function toggleSourceMode() {
+  if (sourceMode) {
+    leaveSourceMode();
+  } else {
+    enterSourceMode();
+  }
+  if (!findBar.hidden) {
+    runFind(true);
+  }
+}
+
+function getActiveMathSnippet() {
+  const range = getCollapsedEditorRange();
+  if (
+    !range ||
+    range.startContainer.nodeType !== Node.TEXT_NODE ||
+    range.startContainer.parentElement?.closest("code, pre, .front-matter")
+  ) {
+    return null;
+  }
+
+  const textNode = range.startContainer;
+  const value = textNode.nodeValue || "";
+  if (!/[$\\]/.test(value)) {
+    return null;
+  }
+
+  const cursor = range.startOffset;
+  const span = findMathSpans(value).find((candidate) => cursor >= candidate.start && cursor <= candidate.end);
+  if (!span) {
+    return null;
+  }
+
+  const { tex, display, contentStart, contentEnd } = span;
+  return { tex, display, range, contentStart, contentEnd };
+}
+
+function getRangeClientRect(range) {
+  const rects = range.getClientRects();
+  if (rects.length > 0) {
+    return rects[0];
+  }
+
+  const fallback = range.startContainer instanceof Element
+    ? range.startContainer.getBoundingClientRect()
+    : range.startContainer.parentElement?.getBoundingClientRect();
+
+  return fallback || editor.getBoundingClientRect();
+}
+
+function mathSnippetAtCaret() {
+  const snippet = getActiveMathSnippet();
+  if (!snippet) {
+    return null;
+  }
+
+  const offset = snippet.range.startOffset;
+  return offset >= snippet.contentStart && offset <= snippet.contentEnd ? snippet : null;
+}
+
+function hideMathCompletion() {
+  mathCompletion = null;
+  mathComplete.hidden = true;
+}
+
+function completionGlyph(entry) {
+  const preview = latexPreview(entry.insert);
+  if (!entry.macro && completionGlyphs.has(preview)) {
+    return completionGlyphs.get(preview);
+  }
+
+  let html;
+  try {
+    html = katex.renderToString(preview, { throwOnError: false, strict: "ignore", macros: { ...mathMacros } });
+  } catch {
+    html = "";
+  }
+  if (!entry.macro) {
+    completionGlyphs.set(preview, html);
+  }
+  return html;
+}
+
+function renderMathCompletion() {
+  mathComplete.replaceChildren(...mathCompletion.entries.map((entry, index) => {
+    const item = document.createElement("div");
+    item.className = "math-complete-item";
+    item.setAttribute("role", "option");
+    item.setAttribute("data-index", String(index));
+    item.setAttribute("aria-selected", index === mathCompletion.index ? "true" : "false");
+    const glyph = document.createElement("span");
+    glyph.className = "math-complete-glyph";
+    glyph.innerHTML = completionGlyph(entry);
+    const label = document.createElement("code");
+    label.textContent = entry.name.startsWith("\\begin") ? entry.name : entry.insert.split(LATEX_TAB_STOP).join("");
+    item.append(glyph, label);
+    return item;
+  }));
+  const selected = mathComplete.children[mathCompletion.index];
+  if (selected) {
+    selected.scrollIntoView({ block: "nearest" });
+  }
+}
+
+// Offers commands for the \name being typed inside $…$.
+function updateMathCompletion() {
+  const snippet = mathSnippetAtCaret();
+  const textNode = snippet ? snippet.range.startContainer : null;
+  const offset = snippet ? snippet.range.startOffset : 0;
+  const before = textNode ? (textNode.nodeValue || "").slice(snippet.contentStart, offset) : "";
+  const match = /\\([A-Za-z]*)$/.exec(before);
+  if (!match || /(?:^|[^\\])\\(?:\\\\)*$/.test(before.slice(0, match.index))) {
+    hideMathCompletion();
+    return;
+  }
+
+  const entries = latexCompletions(match[1], mathMacros);
+  if (entries.length === 0) {
+    hideMathCompletion();
+    return;
+  }
+
+  mathCompletion = { textNode, start: offset - match[0].length, end: offset, entries, index: 0 };
+  renderMathCompletion();
+  mathComplete.hidden = false;
+
+  const caretRect = getRangeClientRect(snippet.range);
+  const width = mathComplete.offsetWidth || 280;
+  const height = mathComplete.offsetHeight || 240;
+  let top = caretRect.bottom + 6;
+  if (top + height > window.innerHeight - 8) {
+    top = Math.max(8, caretRect.top - height - 6);
+  }
+  mathComplete.style.left = `${Math.max(8, Math.min(caretRect.left, window.innerWidth - width - 8))}px`;
+  mathComplete.style.top = `${top}px`;
+}
+
+function syncMathCompletion() {
+  const range = getCollapsedEditorRange();
+  if (mathCompletion && (!range || range.startContainer !== mathCompletion.textNode || range.startOffset !== mathCompletion.end)) {
+    hideMathCompletion();
+  }
+  if (mathSnippetStops && (!range || range.startContainer !== mathSnippetStops.textNode)) {
+    mathSnippetStops = null;
+  }
+}
+
+function acceptMathCompletion(index) {
+  const { textNode, start, end, entries } = mathCompletion;
+  const entry = entries[index];
+  hideMathCompletion();
+  if (!entry || !editor.contains(textNode)) {
+    return;
+  }
+
+  const parts = entry.insert.split(LATEX_TAB_STOP);
+  const inserted = parts.join("");
+  const value = textNode.nodeValue || "";
+  const nextValue = `${value.slice(0, start)}${inserted}${value.slice(end)}`;
+  const stops = [];
+  let offset = start;
+  parts.slice(0, -1).forEach((part) => {
+    offset += part.length;
+    stops.push(offset);
+  });
+
+  textNode.nodeValue = nextValue;
+  if (stops.length > 0) {
+    // Later stops are kept as distances from the end of the text, which typing
+    // at an earlier stop doesn't change.
+    stops.push(start + inserted.length);
+    mathSnippetStops = { textNode, fromEnd: stops.slice(1).map((stop) => nextValue.length - stop) };
+    setCaret(textNode, stops[0]);
+  } else {
+    mathSnippetStops = null;
+    setCaret(textNode, start + inserted.length);
+  }
+
+  lastInputRule = null;
+  recordHistory("edit");
+  scheduleSave();
+  updateMathPreview();
+}
+
+function nextMathSnippetStop() {
+  const range = getCollapsedEditorRange();
+  const { textNode, fromEnd } = mathSnippetStops;
+  const length = (textNode.nodeValue || "").length;
+  const offset = length - fromEnd.shift();
+  if (fromEnd.length === 0) {
+    mathSnippetStops = null;
+  }
+  if (!range || range.startContainer !== textNode || offset < range.startOffset || offset > length) {
+    mathSnippetStops = null;
+    return false;
+  }
+
+  setCaret(textNode, offset);
+  updateMathPreview();
+  return true;
+}
+
+function handleMathCompletionKeydown(event) {
+  if (event.metaKey || event.ctrlKey || event.altKey) {
+    return false;
+  }
+
+  if (mathCompletion) {
+    const count = mathCompletion.entries.length;
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      mathCompletion.index = (mathCompletion.index + (event.key === "ArrowDown" ? 1 : count - 1)) % count;
+      renderMathCompletion();
+      return true;
+    }
+    if (event.key === "Enter" || event.key === "Tab") {
+      acceptMathCompletion(mathCompletion.index);
+      return true;
+    }
+    if (event.key === "Escape") {
+      hideMathCompletion();
+      return true;
+    }
+  }
+
+  return event.key === "Tab" && !event.shiftKey && mathSnippetStops !== null && nextMathSnippetStop();
+}
+
+const MATH_PAIRS = { "{": "}", "(": ")", "[": "]" };
+
+// Typing an opening bracket inside $…$ adds its partner, including \right for
+// \left and the escaped brace after a backslash; typing the partner steps over it.
+function handleMathPairInput(event) {
+  if (event.inputType !== "insertText" || !event.data || event.data.length !== 1) {
+    return false;
+  }
+
+  const snippet = mathSnippetAtCaret();
+  if (!snippet) {
+    return false;
+  }
+
+  const textNode = snippet.range.startContainer;
+  const offset = snippet.range.startOffset;
+  const value = textNode.nodeValue || "";
+  const before = value.slice(snippet.contentStart, offset);
+  if (Object.values(MATH_PAIRS).includes(event.data) && value[offset] === event.data && offset < snippet.contentEnd) {
+    setCaret(textNode, offset + 1);
+    return true;
+  }
+
+  const close = MATH_PAIRS[event.data];
+  if (!close) {
+    return false;
+  }
+
+  const escaped = /(?:^|[^\\])(?:\\\\)*\\$/.test(before);
+  const closing = `${/\\left\\?$/.test(before) ? "\\right" : ""}${escaped ? "\\" : ""}${close}`;
+  textNode.nodeValue = `${value.slice(0, offset)}${event.data}${closing}${value.slice(offset)}`;
+  setCaret(textNode, offset + 1);
+  lastInputRule = null;
+  recordHistory("typing");
+  scheduleSave();
+  updateMathPreview();
+  hideMathCompletion();
+  return true;
+}
+
+function hideMathPreview() {
+  mathPreview.hidden = true;
+  paintMathError(null, null);
+}
+
+// Marks the error position in the raw text of the math being edited.
+function paintMathError(snippet, problem) {
+  if (!window.CSS || !CSS.highlights || typeof Highlight === "undefined") {
+    return;
+  }
+
+  CSS.highlights.delete("math-error");
+  if (!snippet || !problem || problem.position === null) {
+    return;
+  }
+
+  const textNode = snippet.range.startContainer;
+  const value = textNode.nodeValue || "";
+  const start = Math.min(value.indexOf(snippet.tex, snippet.contentStart) + problem.position, value.length - 1);
+  const range = document.createRange();
+  range.setStart(textNode, start);
+  range.setEnd(textNode, Math.min(value.length, start + Math.max(1, problem.length)));
+  CSS.highlights.set("math-error", new Highlight(range));
+}
+
+function updateMathPreview() {
+  const snippet = getActiveMathSnippet();
+  if (!snippet || !snippet.tex) {
+    hideMathPreview();
+    return;
+  }
+
+  let problem = null;
+  try {
+    const rendered = renderMath(snippet.tex, snippet.display);
+    mathPreviewContent.innerHTML = rendered.html;
+    problem = rendered.problem;
+  } catch {
+    mathPreviewContent.textContent = snippet.tex;
+  }
+  if (problem) {
+    const note = document.createElement("div");
+    note.className = "math-preview-error";
+    note.textContent = mathErrorText(snippet.tex, problem);
+    mathPreviewContent.appendChild(note);
+  }
+  paintMathError(snippet, problem);
+
+  mathPreview.hidden = false;
+
+  const caretRect = getRangeClientRect(snippet.range);
+  const panelWidth = mathPreview.offsetWidth || 320;
+  const panelHeight = mathPreview.offsetHeight || 120;
+
+  let left = Math.max(8, Math.min(caretRect.left, window.innerWidth - panelWidth - 8));
+  let top = caretRect.top - panelHeight - 10;
+
+  if (top < 8) {
+    top = Math.min(window.innerHeight - panelHeight - 8, caretRect.bottom + 12);
+  }
+
+  mathPreview.style.left = `${left}px`;
+  mathPreview.style.top = `${top}px`;
+}
+
+toolbar.addEventListener("click", (event) => {
+  const target = event.target;
+  if (!(target instanceof HTMLButtonElement)) {
+    return;
+  }
+
+  const cmd = target.getAttribute("data-cmd");
+  const action = target.getAttribute("data-action");
+
+  if (action === "outline") {
+    setOutlineVisible(outline.hidden);
+    return;
+  }
+
+  if (action === "problems") {
+    setProblemsVisible(problems.hidden);
+    return;
+  }
+
+  if (action === "history") {
+    setHistoryVisible(historyPanel.hidden);
+    return;
+  }
+
+  if (action === "library") {
+    openLibrary();
+    return;
+  }
+
+  if (action === "equation-numbers") {
+    setEquationNumbering(!settings.equationNumbering);
+    return;
+  }
+
+  if (action === "macros") {
+    editUserMacros();
+    return;
+  }
+
+  if (action === "appearance") {
+    editAppearance();
+    return;
+  }
+
+  if (action !== "source" && !sourceMode) {
+    editor.focus();
+  }
+
+  if (cmd) {
+    document.execCommand(cmd, false);
+    recordHistory("edit");
+    scheduleSave();
+    return;
+  }
+
+  if (action === "h1") {
+    applyHeading(1);
+    recordHistory("edit");
+    scheduleSave();
+    return;
+  }
+
+  if (action === "h2") {
+    applyHeading(2);
+    recordHistory("edit");
+    scheduleSave();
+    return;
+  }
+
+  if (action === "math") {
+    insertMathByPrompt();
+    return;
+  }
+
+  if (action === "code-block") {
+    insertCodeBlock();
+    return;
+  }
+
+  if (action === "table") {
+    insertTableByDialog();
+    return;
+  }
+
+  if (action === "link") {
+    openLinkPopover();
+    return;
+  }
+
+  if (action === "footnote") {
+    insertFootnote();
+    return;
+  }
+
+  if (action === "export-md") {
+    exportMarkdown();
+    return;
+  }
+
+  if (action === "export-html") {
+    exportHtml();
+    return;
+  }
+
+  if (action === "export-pdf") {
+    exportPdf();
+    return;
+  }
+
+  if (action === "source") {
+    toggleSourceMode();
+  }
+});
+
+editor.addEventListener("beforeinput", (event) => {
+  if (event.inputType === "historyUndo" || event.inputType === "historyRedo") {
+    event.preventDefault();
+    if (event.inputType === "historyUndo") {
+      undoEdit();
+    } else {
+      redoEdit();
+    }
+    return;
+  }
+
+  if (handleMathPairInput(event) || typeAfterInputRule(event)) {
+    event.preventDefault();
+  }
+});
+
+editor.addEventListener("input", (event) => {
+  lastInputRule = null;
+  const codeBlock = selectedCodeBlock();
+  if (codeBlock && !event.isComposing) {
+    rehighlightCodeBlock(codeBlock);
+  }
+  if (event.inputType === "insertParagraph") {
+    continueTaskList();
+  }
+  recordHistory(historyKindForInput(event.inputType));
+
+  let converted = false;
+  if (event.inputType === "insertText" && event.data === " ") {
+    converted = applyBlockInputRule() || applyTaskInputRule();
+  } else if (event.inputType === "insertText") {
+    converted = applyInlineInputRule(event.data);
+  }
+  if (converted) {
+    recordHistory("edit");
+  }
+
+  scheduleMathPass(false);
+  scheduleSave();
+  updateMathPreview();
+  updateMathCompletion();
+});
+
+editor.addEventListener("mouseover", (event) => {
+  const reference = event.target instanceof Element ? event.target.closest(".footnote-ref") : null;
+  if (reference) {
+    showFootnotePreview(reference);
+  }
+  const link = event.target instanceof Element ? editableLink(event.target) : null;
+  if (link && link.hasAttribute("href") && linkPopover.hidden) {
+    showLinkTooltip(link);
+  }
+});
+
+editor.addEventListener("mouseout", (event) => {
+  const left = (element) => !(event.relatedTarget instanceof Node && element.contains(event.relatedTarget));
+  const reference = event.target instanceof Element ? event.target.closest(".footnote-ref") : null;
+  if (reference && left(reference)) {
+    hideFootnotePreview();
+  }
+  const link = event.target instanceof Element ? editableLink(event.target) : null;
+  if (link && left(link)) {
+    hideLinkTooltip();
+  }
+});
+
+editor.addEventListener("change", (event) => {
+  const checkbox = event.target;
+  if (!isTaskCheckbox(checkbox)) {
+    return;
+  }
+  // Saves and undo states copy the markup, so the attribute follows the box.
+  checkbox.toggleAttribute("checked", checkbox.checked);
+  recordHistory("edit");
+  scheduleSave();
+});
+
+editor.addEventListener("blur", () => {
+  runMathPass(true);
+  hideMathPreview();
+  hideMathCompletion();
+});
+
+editor.addEventListener("click", (event) => {
+  const target = event.target;
+  if (!(target instanceof HTMLElement)) {
+    return;
+  }
+
+  const tocLink = target.closest("nav[data-toc] a[data-heading]");
+  if (tocLink) {
+    event.preventDefault();
+    jumpToHeading(Number(tocLink.getAttribute("data-heading")));
+    return;
+  }
+
+  if (target === frontMatterBlock()) {
+    event.preventDefault();
+    toggleFrontMatter(target);
+    return;
+  }
+
+  const link = event.metaKey || event.ctrlKey ? editableLink(target) : null;
+  if (link && link.hasAttribute("href")) {
+    event.preventDefault();
+    hideLinkTooltip();
+    followLink(link.getAttribute("href"));
+    return;
+  }
+
+  const footnoteReference = target.closest(".footnote-ref");
+  if (footnoteReference) {
+    event.preventDefault();
+    jumpToFootnoteDefinition(footnoteReference);
+    return;
+  }
+
+  // A definition's number hangs in the margin to its left.
+  const definition = target.closest(".footnote-def");
+  if (definition && event.clientX < definition.getBoundingClientRect().left) {
+    event.preventDefault();
+    jumpToFootnoteReference(definition);
+    return;
+  }
+
+  const reference = target.closest("a.eq-ref, .math-token a[href^='#']");
+  if (reference) {
+    event.preventDefault();
+    event.stopPropagation();
+    jumpToEquation(reference.getAttribute("href").slice(1));
+    return;
+  }
+
+  const token = target.closest(".math-token");
+  if (!token) {
+    updateMathPreview();
+    return;
+  }
+
+  event.preventDefault();
+  event.stopPropagation();
+  if (activeMathEdit) {
+    activeMathEdit = null;
+    runMathPass(true);
+  }
+  expandMathTokenForEdit(token, event.clientX);
+});
+
+editor.addEventListener("keydown", (event) => {
+  const key = event.key.toLowerCase();
+  if ((event.metaKey || event.ctrlKey) && !event.altKey && (key === "z" || key === "y")) {
+    event.preventDefault();
+    if (key === "z" && !event.shiftKey) {
+      undoEdit();
+    } else {
+      redoEdit();
+    }
+    return;
+  }
+
+  if (handleMathCompletionKeydown(event)) {
+    event.preventDefault();
+    return;
+  }
+
+  if (event.key === "Backspace" && lastInputRule && revertLastInputRule()) {
+    event.preventDefault();
+    queueMicrotask(updateMathPreview);
+    return;
+  }
+
+  if (handleCodeBlockKeydown(event)) {
+    return;
+  }
+
+  if (handleTableKeydown(event)) {
+    return;
+  }
+
+  if (handleListItemTab(event)) {
+    return;
+  }
+
+  if (event.key === "Enter" && !event.shiftKey && applyEnterInputRule()) {
+    event.preventDefault();
+    return;
+  }
+
+  if (event.key === "Enter" && !event.shiftKey && endFootnoteDefinition()) {
+    event.preventDefault();
+    return;
+  }
+
+  if (event.key === "Enter" && !event.shiftKey) {
+    clearEmptyTaskItem();
+  }
+
+  if ((event.key === "Delete" || event.key === "Backspace") && editAdjacentMathTokenWithDelete(event.key)) {
+    event.preventDefault();
+    return;
+  }
+
+  if (event.key === "Delete" && mergeWithNextEditorBlock()) {
+    event.preventDefault();
+    queueMicrotask(updateMathPreview);
+    return;
+  }
+
+  if (event.key === "Backspace" && mergeWithPreviousEditorBlock()) {
+    event.preventDefault();
+    queueMicrotask(updateMathPreview);
+    return;
+  }
+
+  handleArrowAcrossMathToken(event);
+  queueMicrotask(updateMathPreview);
+});
+
+editor.addEventListener("paste", (event) => {
+  const images = imageFilesFrom(event.clipboardData);
+  if (images.length && !selectedCodeBlock()) {
+    event.preventDefault();
+    const selection = window.getSelection();
+    insertImageFiles(images, selection && selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null);
+    return;
+  }
+
+  const pre = selectedCodeBlock();
+  if (!pre || !event.clipboardData) {
+    return;
+  }
+
+  event.preventDefault();
+  const pasted = event.clipboardData.getData("text/plain").replace(/\r\n?/g, "\n");
+  editCodeBlock(pre, (text, start, end) => ({
+    text: `${text.slice(0, start)}${pasted}${text.slice(end)}`,
+    start: start + pasted.length
+  }));
+});
+
+editor.addEventListener("dragover", (event) => {
+  if (event.dataTransfer && Array.from(event.dataTransfer.types).includes("Files")) {
+    event.preventDefault();
+  }
+});
+
+editor.addEventListener("drop", (event) => {
+  const images = imageFilesFrom(event.dataTransfer);
+  if (!images.length) {
+    return;
+  }
+
+  event.preventDefault();
+  const range = document.caretRangeFromPoint ? document.caretRangeFromPoint(event.clientX, event.clientY) : null;
+  insertImageFiles(images, range);
+});
+
+editor.addEventListener("dblclick", (event) => {
+  if (event.target instanceof HTMLImageElement) {
+    event.preventDefault();
+    editImageAttributes(event.target);
+  }
+});
+
+editor.addEventListener("mouseup", () => {
+  updateMathPreview();
+});
+
+systemDarkQuery.addEventListener("change", applyTheme);
+
+importInput.addEventListener("change", async () => {
+  const [file] = importInput.files || [];
+  if (!file) {
+    return;
+  }
+
+  if (!confirmDiscardChanges()) {
+    importInput.value = "";
+    return;
+  }
+
+  try {
+    await takeSnapshot("auto", `Before importing ${file.name}`);
+  } catch (error) {
+    if (!window.confirm(`Could not keep a version of the current document: ${error.message}\n\nImport anyway?`)) {
+      importInput.value = "";
+      return;
+    }
+  }
+
+  const text = await file.text();
+  loadMarkdownDocument(text, null);
+
+  importInput.value = "";
+});
+
+window.addEventListener("keydown", (event) => {
+  const key = event.key.toLowerCase();
+  if (key === "f8") {
+    event.preventDefault();
+    setFocusMode(!settings.focusMode);
+    return;
+  }
+
+  if (key === "f9") {
+    event.preventDefault();
+    setTypewriterMode(!settings.typewriterMode);
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && event.shiftKey && !event.altKey && key === "f") {
+    event.preventDefault();
+    setDistractionFree(!isDistractionFree());
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && key === "f") {
+    event.preventDefault();
+    openFindBar(event.altKey);
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && !event.altKey && !event.shiftKey && key === "h") {
+    event.preventDefault();
+    openFindBar(true);
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && key === "g" && !findBar.hidden) {
+    event.preventDefault();
+    stepFind(event.shiftKey ? -1 : 1);
+    return;
+  }
+  if ((event.metaKey || event.ctrlKey) && key === "s") {
+    event.preventDefault();
+    runDocumentCommand(event.shiftKey ? "save-as" : "save");
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && key === "/") {
+    event.preventDefault();
+    toggleSourceMode();
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && event.shiftKey && event.code === "Digit1") {
+    event.preventDefault();
+    setOutlineVisible(outline.hidden);
+    return;
+  }
+
+  if (desktop && (event.metaKey || event.ctrlKey) && event.shiftKey && key === "o") {
+    event.preventDefault();
+    runDocumentCommand("open-folder");
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && event.altKey && event.code === "KeyN" && !sourceMode) {
+    event.preventDefault();
+    insertFootnote();
+    return;
+  }
+
+  if (desktop && (event.metaKey || event.ctrlKey) && !event.shiftKey && (key === "n" || key === "w")) {
+    event.preventDefault();
+    runDocumentCommand(key === "n" ? "new" : "close-tab");
+    return;
+  }
+
+  if (desktop && event.ctrlKey && event.key === "Tab") {
+    event.preventDefault();
+    cycleDocumentTab(event.shiftKey ? -1 : 1);
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && key === "o") {
+    event.preventDefault();
+    runDocumentCommand("open");
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && event.altKey && event.code === "KeyC" && !sourceMode) {
+    event.preventDefault();
+    insertCodeBlock();
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && !event.altKey && !event.shiftKey && key === "k" && !sourceMode) {
+    event.preventDefault();
+    openLinkPopover();
+    return;
+  }
+
+  if ((event.metaKey || event.ctrlKey) && key === "m") {
+    event.preventDefault();
+    insertMathByPrompt();
+  }
+});
+
+// Leaving full screen with Escape or the browser's own controls ends
+// distraction-free mode as well, though only until the next launch.
+document.addEventListener("fullscreenchange", () => {
+  if (!document.fullscreenElement && isDistractionFree()) {
+    showDistractionFree(false);
   }
+});
 
+document.addEventListener("selectionchange", () => {
   const selection = window.getSelection();
-  const textNode = activeMathEdit.textNode;
-  const stillInDom = editor.contains(textNode);
-  if (!selection || selection.rangeCount === 0 || !stillInDom) {
-    activeMathEdit = null;
-    runMathPass(true);
+  if (!selection || selection.rangeCount === 0) {
+    hideMathPreview();
     return;
   }
 
-  const range = selection.getRangeAt(0);
-  const stillEditing = range.startContainer === textNode;
-
-  if (stillEditing) {
+  const anchor = selection.anchorNode;
+  if (!anchor || !editor.contains(anchor)) {
+    finalizeMathEditIfNeeded();
+    hideMathPreview();
+    updateCodeTools();
+    updateTableTools();
     return;
   }
 
-  activeMathEdit = null;
-  runMathPass(true);
-}
-
-function deleteCharInTextNode(textNode, offset, direction) {
-  const value = textNode.nodeValue || "";
-  if (direction === "backward") {
-    if (offset <= 0) {
-      return;
-    }
-    textNode.nodeValue = `${value.slice(0, offset - 1)}${value.slice(offset)}`;
-    setCaret(textNode, offset - 1);
-  } else {
-    if (offset >= value.length) {
-      return;
-    }
-    textNode.nodeValue = `${value.slice(0, offset)}${value.slice(offset + 1)}`;
-    setCaret(textNode, offset);
-  }
-  scheduleSave();
+  finalizeMathEditIfNeeded();
+  syncMathCompletion();
   updateMathPreview();
-}
+  updateCodeTools();
+  updateTableTools();
+  updateFocusBlock();
+});
 
-function editAdjacentMathTokenWithDelete(key) {
-  const range = getCollapsedEditorRange();
-  if (!range) {
-    return false;
+// Scrolls once the key has moved the caret or changed the text.
+editor.addEventListener("keydown", () => {
+  if (settings.typewriterMode) {
+    requestAnimationFrame(centerCaret);
   }
+});
 
-  const direction = key === "Backspace" ? "prev" : "next";
-  const token = adjacentMathToken(range, direction);
-  if (!token) {
-    return false;
+mathComplete.addEventListener("mousedown", (event) => {
+  // Keep the caret in the math being edited.
+  event.preventDefault();
+});
+
+mathComplete.addEventListener("click", (event) => {
+  const item = event.target instanceof Element ? event.target.closest(".math-complete-item") : null;
+  if (item && mathCompletion) {
+    acceptMathCompletion(Number(item.getAttribute("data-index")));
   }
+});
 
-  const textNode = expandMathTokenWithOffset(
-    token,
-    direction === "prev" ? mathRawForToken(token).raw.length : 0
-  );
-  deleteCharInTextNode(textNode, direction === "prev" ? textNode.nodeValue.length : 0, direction === "prev" ? "backward" : "forward");
-  return true;
-}
+tableTools.addEventListener("mousedown", (event) => {
+  // Keep the caret in the table while a tool button is pressed.
+  event.preventDefault();
+});
 
-function getActiveMathSnippet() {
-  const range = getCollapsedEditorRange();
-  if (!range || range.startContainer.nodeType !== Node.TEXT_NODE) {
-    return null;
-  }
+linkPopover.addEventListener("submit", (event) => {
+  event.preventDefault();
+  applyLinkEdit();
+});
 
-  const textNode = range.startContainer;
-  const value = textNode.nodeValue || "";
-  if (!value.includes("$")) {
-    return null;
+linkPopover.addEventListener("keydown", (event) => {
+  if (event.key === "Escape") {
+    event.preventDefault();
+    finishLinkEdit();
   }
+});
 
-  const cursor = range.startOffset;
-  const regex = /(\$\$([\s\S]+?)\$\$)|(\$([^$\n]+?)\$)/g;
-  let match = regex.exec(value);
+linkUrlInput.addEventListener("input", () => {
+  linkUrlInput.setCustomValidity("");
+});
 
-  while (match) {
-    const start = match.index;
-    const end = regex.lastIndex;
-    if (cursor >= start && cursor <= end) {
-      const display = Boolean(match[1]);
-      const tex = (display ? match[2] : match[4] || "").trim();
-      return {
-        tex,
-        display,
-        range
-      };
-    }
-    match = regex.exec(value);
+linkRemoveButton.addEventListener("click", () => {
+  if (linkEdit && linkEdit.link) {
+    removeLink();
   }
+});
 
-  return null;
-}
-
-function getRangeClientRect(range) {
-  const rects = range.getClientRects();
-  if (rects.length > 0) {
-    return rects[0];
+document.addEventListener("mousedown", (event) => {
+  if (!linkPopover.hidden && !(event.target instanceof Node && linkPopover.contains(event.target))) {
+    hideLinkPopover();
   }
+});
 
-  const fallback = range.startContainer instanceof Element
-    ? range.startContainer.getBoundingClientRect()
-    : range.startContainer.parentElement?.getBoundingClientRect();
+tableTools.addEventListener("click", (event) => {
+  const target = event.target;
+  if (target instanceof HTMLButtonElement && target.dataset.tableAction) {
+    runTableAction(target.dataset.tableAction);
+  }
+});
 
-  return fallback || editor.getBoundingClientRect();
-}
+documentTabs.addEventListener("click", (event) => {
+  const target = event.target;
+  const tab = target instanceof HTMLElement ? target.closest(".document-tab") : null;
+  const record = tab ? openDocuments.find((item) => String(item.id) === tab.getAttribute("data-document")) : null;
+  if (!record) {
+    return;
+  }
 
-function hideMathPreview() {
-  mathPreview.hidden = true;
-}
+  if (target.closest(".document-tab-close")) {
+    closeDocumentTab(record);
+  } else {
+    activateDocument(record);
+  }
+});
 
-function updateMathPreview() {
-  const snippet = getActiveMathSnippet();
-  if (!snippet || !snippet.tex) {
-    hideMathPreview();
-    return;
+documentTabs.addEventListener("auxclick", (event) => {
+  const tab = event.button === 1 && event.target instanceof HTMLElement ? event.target.closest(".document-tab") : null;
+  const record = tab ? openDocuments.find((item) => String(item.id) === tab.getAttribute("data-document")) : null;
+  if (record) {
+    event.preventDefault();
+    closeDocumentTab(record);
   }
+});
 
-  try {
-    mathPreviewContent.innerHTML = katex.renderToString(snippet.tex, {
-      throwOnError: false,
-      strict: "ignore",
-      displayMode: snippet.display
-    });
-  } catch {
-    mathPreviewContent.textContent = snippet.tex;
+filePanel.addEventListener("click", (event) => {
+  const target = event.target;
+  if (target instanceof HTMLButtonElement && target.dataset.fileAction) {
+    runFileAction(target.dataset.fileAction);
   }
+});
 
-  mathPreview.hidden = false;
+fileTree.addEventListener("click", (event) => {
+  const item = event.target instanceof HTMLElement ? event.target.closest(".tree-item") : null;
+  if (!item) {
+    return;
+  }
 
-  const caretRect = getRangeClientRect(snippet.range);
-  const panelWidth = mathPreview.offsetWidth || 320;
-  const panelHeight = mathPreview.offsetHeight || 120;
+  const targetPath = item.getAttribute("data-path");
+  selectedTreePath = targetPath;
+  if (item.getAttribute("data-type") === "directory") {
+    if (!expandedFolders.delete(targetPath)) {
+      expandedFolders.add(targetPath);
+    }
+    renderFileTree();
+    const selected = fileTree.querySelector(".tree-item.is-selected");
+    if (selected) {
+      selected.focus();
+    }
+    return;
+  }
 
-  let left = Math.max(8, Math.min(caretRect.left, window.innerWidth - panelWidth - 8));
-  let top = caretRect.top - panelHeight - 10;
+  renderFileTree();
+  openFileInTab(targetPath);
+});
 
-  if (top < 8) {
-    top = Math.min(window.innerHeight - panelHeight - 8, caretRect.bottom + 12);
+fileTree.addEventListener("keydown", (event) => {
+  const item = event.target instanceof HTMLElement ? event.target.closest(".tree-item") : null;
+  if (!item) {
+    return;
   }
 
-  mathPreview.style.left = `${left}px`;
-  mathPreview.style.top = `${top}px`;
-}
+  selectedTreePath = item.getAttribute("data-path");
+  if (event.key === "F2") {
+    event.preventDefault();
+    renameWorkspaceEntry();
+  } else if (event.key === "Delete" || ((event.metaKey || event.ctrlKey) && event.key === "Backspace")) {
+    event.preventDefault();
+    deleteWorkspaceEntry();
+  }
+});
 
-toolbar.addEventListener("click", (event) => {
+findBar.addEventListener("click", (event) => {
   const target = event.target;
   if (!(target instanceof HTMLButtonElement)) {
     return;
   }
 
-  const cmd = target.getAttribute("data-cmd");
-  const action = target.getAttribute("data-action");
+  const option = target.dataset.findOption;
+  if (option) {
+    findOptions[option] = !findOptions[option];
+    target.setAttribute("aria-pressed", findOptions[option] ? "true" : "false");
+    runFind();
+    return;
+  }
 
-  editor.focus();
+  if (target.dataset.findAction) {
+    runFindAction(target.dataset.findAction);
+  }
+});
 
-  if (cmd) {
-    document.execCommand(cmd, false);
-    scheduleSave();
+findBar.addEventListener("keydown", (event) => {
+  if (event.key === "Escape") {
+    event.preventDefault();
+    closeFindBar();
     return;
   }
 
-  if (action === "h1") {
-    applyHeading(1);
-    scheduleSave();
+  if (event.key !== "Enter") {
     return;
   }
 
-  if (action === "h2") {
-    applyHeading(2);
-    scheduleSave();
-    return;
+  event.preventDefault();
+  if (event.target === replaceInput) {
+    runFindAction((event.metaKey || event.ctrlKey) && event.altKey ? "replace-all" : "replace");
+  } else if (event.target === findInput) {
+    stepFind(event.shiftKey ? -1 : 1);
   }
+});
 
-  if (action === "math") {
-    insertMathByPrompt();
-    return;
+findInput.addEventListener("input", () => {
+  runFind();
+  revealFindMatch();
+});
+
+outlineList.addEventListener("click", (event) => {
+  const target = event.target;
+  if (target instanceof HTMLElement && target.closest(".outline-item")) {
+    jumpToHeading(Number(target.closest(".outline-item").getAttribute("data-heading")));
   }
+});
 
-  if (action === "export-md") {
-    exportMarkdown();
+problemList.addEventListener("click", (event) => {
+  const item = event.target instanceof Element ? event.target.closest(".problem-item") : null;
+  if (item) {
+    jumpToProblem(Number(item.getAttribute("data-problem")));
   }
 });
 
-editor.addEventListener("input", () => {
-  scheduleMathPass(false);
-  scheduleSave();
-  updateMathPreview();
+historyList.addEventListener("click", (event) => {
+  const item = event.target instanceof Element ? event.target.closest(".history-item") : null;
+  if (item) {
+    openSnapshot(Number(item.getAttribute("data-snapshot")));
+  }
 });
 
-editor.addEventListener("blur", () => {
-  runMathPass(true);
-  hideMathPreview();
+historyCheckpoint.addEventListener("click", () => {
+  saveCheckpoint();
 });
 
-editor.addEventListener("click", (event) => {
-  const target = event.target;
-  if (!(target instanceof HTMLElement)) {
+library.addEventListener("click", (event) => {
+  const target = event.target instanceof Element ? event.target.closest("button") : null;
+  if (!target) {
     return;
   }
 
-  const token = target.closest(".math-token");
-  if (!token) {
-    updateMathPreview();
+  const id = Number(target.getAttribute("data-library-id"));
+  if (target.classList.contains("library-open")) {
+    library.close();
+    openLibraryDocument(id);
     return;
   }
 
-  event.preventDefault();
-  event.stopPropagation();
-  if (activeMathEdit) {
-    activeMathEdit = null;
-    runMathPass(true);
+  const action = target.getAttribute("data-library-action");
+  if (action === "new") {
+    library.close();
+    newLibraryDocument();
+  } else if (action === "duplicate") {
+    duplicateLibraryDocument(id);
+  } else if (action === "delete") {
+    removeLibraryDocument(id);
+  } else if (action === "view") {
+    settings.libraryView = settings.libraryView === "grid" ? "list" : "grid";
+    saveSettings();
+    renderLibrary();
+  } else if (action === "export") {
+    exportLibrary();
+  } else if (action === "close") {
+    library.close();
   }
-  expandMathTokenForEdit(token, event.clientX);
 });
 
-editor.addEventListener("keydown", (event) => {
-  if ((event.key === "Delete" || event.key === "Backspace") && editAdjacentMathTokenWithDelete(event.key)) {
-    event.preventDefault();
-    return;
-  }
+librarySearch.addEventListener("input", () => {
+  renderLibrary();
+});
 
-  if (event.key === "Delete" && mergeWithNextEditorBlock()) {
-    event.preventDefault();
-    queueMicrotask(updateMathPreview);
-    return;
+libraryImport.addEventListener("change", async () => {
+  const files = Array.from(libraryImport.files || []);
+  libraryImport.value = "";
+  if (files.length) {
+    await importIntoLibrary(files);
   }
+});
 
-  if (event.key === "Backspace" && mergeWithPreviousEditorBlock()) {
+outlineList.addEventListener("dragstart", (event) => {
+  const item = event.target instanceof HTMLElement ? event.target.closest(".outline-item") : null;
+  if (!item || sourceMode) {
     event.preventDefault();
-    queueMicrotask(updateMathPreview);
     return;
   }
 
-  handleArrowAcrossMathToken(event);
-  queueMicrotask(updateMathPreview);
+  draggedHeadingIndex = Number(item.getAttribute("data-heading"));
+  event.dataTransfer.effectAllowed = "move";
+  event.dataTransfer.setData("text/plain", item.textContent || "");
 });
 
-editor.addEventListener("mouseup", () => {
-  updateMathPreview();
+outlineList.addEventListener("dragover", (event) => {
+  const item = event.target instanceof HTMLElement ? event.target.closest(".outline-item") : null;
+  if (!item || draggedHeadingIndex === null) {
+    return;
+  }
+
+  event.preventDefault();
+  event.dataTransfer.dropEffect = "move";
+  const rect = item.getBoundingClientRect();
+  const after = event.clientY > rect.top + rect.height / 2;
+  clearOutlineDropMarkers();
+  item.classList.add(after ? "drop-after" : "drop-before");
 });
 
-importInput.addEventListener("change", async () => {
-  const [file] = importInput.files || [];
-  if (!file) {
+outlineList.addEventListener("drop", (event) => {
+  const item = event.target instanceof HTMLElement ? event.target.closest(".outline-item") : null;
+  if (!item || draggedHeadingIndex === null) {
     return;
   }
 
-  const text = await file.text();
-  const html = sanitizeImportedHtml(md.render(text));
-  editor.innerHTML = html;
-  runMathPass(true);
-  scheduleSave();
+  event.preventDefault();
+  moveHeadingSection(draggedHeadingIndex, Number(item.getAttribute("data-heading")), item.classList.contains("drop-after"));
+  clearOutlineDropMarkers();
+  draggedHeadingIndex = null;
+});
 
-  importInput.value = "";
+outlineList.addEventListener("dragend", () => {
+  clearOutlineDropMarkers();
+  draggedHeadingIndex = null;
 });
 
-window.addEventListener("keydown", (event) => {
-  const key = event.key.toLowerCase();
-  if ((event.metaKey || event.ctrlKey) && key === "s") {
-    event.preventDefault();
-    exportMarkdown();
-    return;
-  }
+codeLanguageList.replaceChildren(...HIGHLIGHT_LANGUAGES.map((language) => {
+  const option = document.createElement("option");
+  option.value = language;
+  return option;
+}));
 
-  if ((event.metaKey || event.ctrlKey) && key === "m") {
-    event.preventDefault();
-    insertMathByPrompt();
+codeLanguageInput.addEventListener("change", () => {
+  if (activeCodeBlock && editor.contains(activeCodeBlock)) {
+    setCodeBlockLanguage(activeCodeBlock, codeLanguageInput.value);
   }
 });
 
-document.addEventListener("selectionchange", () => {
-  const selection = window.getSelection();
-  if (!selection || selection.rangeCount === 0) {
-    hideMathPreview();
+codeLanguageInput.addEventListener("keydown", (event) => {
+  if (event.key !== "Enter" && event.key !== "Escape") {
     return;
   }
 
-  const anchor = selection.anchorNode;
-  if (!anchor || !editor.contains(anchor)) {
-    finalizeMathEditIfNeeded();
-    hideMathPreview();
-    return;
+  event.preventDefault();
+  const pre = activeCodeBlock;
+  if (event.key === "Enter" && pre) {
+    setCodeBlockLanguage(pre, codeLanguageInput.value);
+  }
+  if (pre && editor.contains(pre)) {
+    editor.focus({ preventScroll: true });
+    setCodeSelection(pre, codeBlockText(pre).length);
   }
+});
 
-  finalizeMathEditIfNeeded();
-  updateMathPreview();
+codeCopyButton.addEventListener("click", () => {
+  if (activeCodeBlock && editor.contains(activeCodeBlock)) {
+    copyCodeBlock(activeCodeBlock);
+  }
+});
+
+sourceEditor.addEventListener("input", () => {
+  resizeSourceEditor();
+  scheduleSave();
 });
 
+if (desktop) {
+  desktop.onMenuCommand((command) => {
+    runDocumentCommand(command);
+  });
+}
+
 window.addEventListener("resize", () => {
   updateMathPreview();
+  updateCodeTools();
+  updateTableTools();
+});
+
+// The library and the session are written when the editor is idle, so a
+// write that is still waiting happens now.
+window.addEventListener("pagehide", () => {
+  clearTimeout(documentSyncTimer);
+  syncDocument();
+});
+
+window.addEventListener("scroll", () => {
+  updateCodeTools();
+  updateTableTools();
+  highlightCurrentHeading();
 });
 
 editor.addEventListener("scroll", () => {
   updateMathPreview();
+  updateCodeTools();
+  updateTableTools();
 });
@@ -0,0 +1,185 @@
+/* Saved versions of documents, kept in IndexedDB, and the line diff the history panel shows. */
+
+const SNAPSHOT_DATABASE = "typora-clone-snapshots";
+const SNAPSHOT_STORE = "snapshots";
+const SNAPSHOT_AUTO_LIMIT = 200;
+const SNAPSHOT_DIFF_CONTEXT = 3;
+const SNAPSHOT_DIFF_MAX_CELLS = 4000000;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+let snapshotDatabase = null;
+
+function databaseRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.addEventListener("success", () => resolve(request.result));
+    request.addEventListener("error", () => reject(request.error));
+  });
+}
+
+function openSnapshotDatabase() {
+  if (!snapshotDatabase) {
+    if (!window.indexedDB) {
+      return Promise.reject(new Error("this browser has no IndexedDB"));
+    }
+    const request = indexedDB.open(SNAPSHOT_DATABASE, 1);
+    request.addEventListener("upgradeneeded", () => {
+      const store = request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: "id", autoIncrement: true });
+      store.createIndex("documentKey", "documentKey");
+    });
+    snapshotDatabase = databaseRequest(request);
+    snapshotDatabase.catch(() => {
+      snapshotDatabase = null;
+    });
+  }
+  return snapshotDatabase;
+}
+
+async function snapshotStore(mode) {
+  const database = await openSnapshotDatabase();
+  return database.transaction(SNAPSHOT_STORE, mode).objectStore(SNAPSHOT_STORE);
+}
+
+// kind is "auto" or "checkpoint". Checkpoints are named by the user; an
+// automatic version gets a name when it was taken before an import or restore.
+async function addSnapshot({ documentKey, markdown, kind, name = "" }) {
+  const snapshot = { documentKey, markdown, kind, name, createdAt: Date.now() };
+  snapshot.id = await databaseRequest((await snapshotStore("readwrite")).add(snapshot));
+  return snapshot;
+}
+
+// Newest first.
+async function listSnapshots(documentKey) {
+  const store = await snapshotStore("readonly");
+  const snapshots = await databaseRequest(store.index("documentKey").getAll(documentKey));
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function deleteSnapshot(id) {
+  await databaseRequest((await snapshotStore("readwrite")).delete(id));
+}
+
+// Checkpoints stay until they are deleted and named versions for thirty days.
+// Plain autosaves are all kept for an hour, then thinned to the newest one per
+// hour for a day and per day for thirty days, and dropped after that.
+function expiredSnapshots(snapshots, now) {
+  const seen = new Set();
+  let kept = 0;
+  return snapshots.filter((snapshot) => {
+    if (snapshot.kind === "checkpoint") {
+      return false;
+    }
+    const age = now - snapshot.createdAt;
+    if (snapshot.name) {
+      return age > 30 * DAY_MS;
+    }
+    if (age > 30 * DAY_MS || kept >= SNAPSHOT_AUTO_LIMIT) {
+      return true;
+    }
+    if (age > HOUR_MS) {
+      const bucket = age > DAY_MS ? `d${Math.floor(snapshot.createdAt / DAY_MS)}` : `h${Math.floor(snapshot.createdAt / HOUR_MS)}`;
+      if (seen.has(bucket)) {
+        return true;
+      }
+      seen.add(bucket);
+    }
+    kept += 1;
+    return false;
+  });
+}
+
+async function pruneSnapshots(documentKey) {
+  const expired = expiredSnapshots(await listSnapshots(documentKey), Date.now());
+  if (!expired.length) {
+    return;
+  }
+  const store = await snapshotStore("readwrite");
+  await Promise.all(expired.map((snapshot) => databaseRequest(store.delete(snapshot.id))));
+}
+
+// Lines as { type: "same" | "removed" | "added", text }. The middle that
+// differs is compared line by line unless it is too big, in which case it is
+// shown as removed and added wholesale.
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const same = (text) => ({ type: "same", text });
+  const removed = (text) => ({ type: "removed", text });
+  const added = (text) => ({ type: "added", text });
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  let middle;
+  if (middleA.length * middleB.length > SNAPSHOT_DIFF_MAX_CELLS) {
+    middle = [...middleA.map(removed), ...middleB.map(added)];
+  } else {
+    // Longest common subsequence, filled from the end so the walk below can
+    // go forwards.
+    const width = middleB.length + 1;
+    const lengths = new Uint32Array((middleA.length + 1) * width);
+    for (let i = middleA.length - 1; i >= 0; i -= 1) {
+      for (let j = middleB.length - 1; j >= 0; j -= 1) {
+        lengths[i * width + j] = middleA[i] === middleB[j]
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    middle = [];
+    let i = 0;
+    let j = 0;
+    while (i < middleA.length || j < middleB.length) {
+      if (i < middleA.length && j < middleB.length && middleA[i] === middleB[j]) {
+        middle.push(same(middleA[i]));
+        i += 1;
+        j += 1;
+      } else if (j >= middleB.length || (i < middleA.length && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        middle.push(removed(middleA[i]));
+        i += 1;
+      } else {
+        middle.push(added(middleB[j]));
+        j += 1;
+      }
+    }
+  }
+
+  return [...a.slice(0, start).map(same), ...middle, ...a.slice(endA).map(same)];
+}
+
+// Runs of unchanged lines longer than the context around changes collapse to
+// { type: "skipped", count }.
+function collapseDiff(lines) {
+  const changed = lines.map((line) => line.type !== "same");
+  const near = (index) => {
+    for (let offset = -SNAPSHOT_DIFF_CONTEXT; offset <= SNAPSHOT_DIFF_CONTEXT; offset += 1) {
+      if (changed[index + offset]) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const collapsed = [];
+  lines.forEach((line, index) => {
+    if (near(index)) {
+      collapsed.push(line);
+      return;
+    }
+    const last = collapsed[collapsed.length - 1];
+    if (last && last.type === "skipped") {
+      last.count += 1;
+    } else {
+      collapsed.push({ type: "skipped", count: 1 });
+    }
+  });
+  return collapsed;
+}
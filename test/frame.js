@@ -0,0 +1,31 @@
+/* Loads the editor in a frame for the test and benchmark pages, and keeps its storage apart from theirs. */
+
+const STORAGE_PREFIX = "typora-clone-";
+
+function loadEditorFrame() {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement("iframe");
+    frame.src = "../index.html";
+    frame.addEventListener("load", () => resolve(frame));
+    frame.addEventListener("error", () => reject(new Error("the editor did not load")));
+    document.body.appendChild(frame);
+  });
+}
+
+// The frame shares the page's localStorage with the editor the user runs, so
+// its keys are put aside before a run and put back afterwards.
+function stashStorage() {
+  const saved = {};
+  for (let index = 0; index < localStorage.length; index += 1) {
+    const key = localStorage.key(index);
+    if (key.startsWith(STORAGE_PREFIX)) {
+      saved[key] = localStorage.getItem(key);
+    }
+  }
+  return saved;
+}
+
+function restoreStorage(saved) {
+  Object.keys(stashStorage()).forEach((key) => localStorage.removeItem(key));
+  Object.entries(saved).forEach(([key, value]) => localStorage.setItem(key, value));
+}
@@ -0,0 +1,136 @@
+/* Opens and saves markdown through the editor's converters and checks that nothing is lost. */
+
+const CASES = [
+  {
+    name: "Literal brackets",
+    markdown: "Options [a] and [b] here.\n\nIndexing arr[0] and arr[i][j].\n"
+  },
+  {
+    name: "Literal brackets next to math",
+    markdown: "See [1] for $x^2$ and [2] for:\n\n\\[\ny = 1\n\\]\n"
+  },
+  {
+    name: "Bracketed text that looks like a link",
+    markdown: "Not a link: [label\\](page) or [^note\\] or [TOC\\].\n"
+  },
+  {
+    name: "Links and images",
+    markdown: "A [link](https://example.com) and ![alt](a.png).\n"
+  },
+  {
+    name: "Footnote with a list",
+    markdown: "Text[^a].\n\n[^a]: Note with list:\n\n    - one\n    - two\n",
+    saved: "Text[^a].\n\n[^a]: Note with list:\n\n    - one\n    - two\n"
+  },
+  {
+    name: "Footnote with a code block",
+    markdown: "Text[^a] and[^b].\n\n[^a]: Note with code:\n\n    ```js\n    let x = 1;\n\n    x += 1;\n    ```\n\n    And after.\n\n[^b]: Other.\n",
+    saved: "Text[^a] and[^b].\n\n[^a]: Note with code:\n\n    ```js\n    let x = 1;\n\n    x += 1;\n    ```\n\n    And after.\n\n[^b]: Other.\n"
+  },
+  {
+    name: "Footnote that starts with a list",
+    markdown: "Text[^a].\n\n[^a]:\n    - one\n    - two\n",
+    saved: "Text[^a].\n\n[^a]:\n\n    - one\n    - two\n"
+  },
+  {
+    name: "Dollar amounts",
+    markdown: "It costs $5 and $10.\n",
+    saved: "It costs \\$5 and \\$10.\n"
+  },
+  {
+    name: "Escaped dollars and backslashes",
+    markdown: "Not math: \\$x$ and \\\\(y\\\\), but $z$ is.\n",
+    saved: "Not math: \\$x\\$ and \\\\(y\\\\), but $z$ is.\n"
+  },
+  {
+    name: "Spaces inside dollars",
+    markdown: "Not math: $ x$ and $x $.\n",
+    saved: "Not math: \\$ x\\$ and \\$x \\$.\n"
+  },
+  {
+    name: "Digit after the closing dollar",
+    markdown: "Not math: $5$0, but $a$b is.\n",
+    saved: "Not math: \\$5\\$0, but $a$b is.\n"
+  },
+  {
+    name: "Backslash delimiters",
+    markdown: "Inline \\(a + b\\) and display:\n\n\\[\nc = d\n\\]\n",
+    saved: "Inline \\(a + b\\) and display:\n\n\\[\nc = d\n\\]\n"
+  },
+  {
+    name: "Lists and tasks",
+    markdown: "- [ ] open\n- [x] done\n  - nested\n\n1. first\n2. second\n\n   more of the second\n",
+    saved: "- [ ] open\n- [x] done\n  - nested\n\n1. first\n\n2. second\n\n   more of the second\n"
+  }
+];
+
+const statusEl = document.querySelector("#status");
+const results = document.querySelector("#results");
+
+// Cases open in the editor itself, so footnotes are numbered and math is
+// rendered as for a file. Opening doesn't save anything, and the frame is
+// removed as soon as the run ends.
+function open(win, markdown) {
+  win.loadMarkdownDocument(markdown, null);
+  return win.document.querySelector("#editor").innerHTML;
+}
+
+function roundTrip(win, testCase) {
+  const first = open(win, testCase.markdown);
+  const saved = win.serializeMarkdown();
+  const second = open(win, saved);
+  const resaved = win.serializeMarkdown();
+
+  const problems = [];
+  if (first !== second) {
+    problems.push("the saved markdown opens as a different document");
+  }
+  if (resaved !== saved) {
+    problems.push(`saving again changes it to:\n${resaved}`);
+  }
+  if (testCase.saved !== undefined && saved !== testCase.saved) {
+    problems.push(`expected:\n${testCase.saved}`);
+  }
+  return { saved, problems };
+}
+
+function report(name, outcome) {
+  const row = document.createElement("tr");
+  const nameCell = document.createElement("td");
+  nameCell.textContent = name;
+  const result = document.createElement("td");
+  result.className = outcome.problems.length ? "fail" : "pass";
+  result.textContent = outcome.problems.length ? `Failed: ${outcome.problems.join("; ")}` : "Passed";
+  const markdown = document.createElement("td");
+  const pre = document.createElement("pre");
+  pre.textContent = outcome.saved;
+  markdown.appendChild(pre);
+  row.append(nameCell, result, markdown);
+  results.appendChild(row);
+}
+
+async function runTests() {
+  const win = (await loadEditorFrame()).contentWindow;
+  let failed = 0;
+  for (const testCase of CASES) {
+    let outcome;
+    try {
+      outcome = roundTrip(win, testCase);
+    } catch (error) {
+      outcome = { saved: "", problems: [error.message] };
+    }
+    failed += outcome.problems.length ? 1 : 0;
+    report(testCase.name, outcome);
+  }
+  statusEl.textContent = failed ? `${failed} of ${CASES.length} cases failed.` : `All ${CASES.length} cases passed.`;
+}
+
+const savedStorage = stashStorage();
+runTests()
+  .catch((error) => {
+    statusEl.textContent = `Tests could not run: ${error.message}`;
+  })
+  .finally(() => {
+    document.querySelector("iframe")?.remove();
+    restoreStorage(savedStorage);
+  });